@@ -0,0 +1,695 @@
+import { createCfClient, getConfiguredBaseUrl } from './lib/cf-api.js';
+import {
+  DEFAULT_LADDERS,
+  LADDER_COLUMNS,
+  parseLadderRows,
+  toCatalogueRecord,
+  joinLadder,
+  serializeLadder,
+  diffLines,
+} from './lib/ladder.js';
+import { filterProblems } from './lib/filters.js';
+import { getRatings, getTagsByFrequency } from './lib/analytics.js';
+import { dbGet, dbPut } from './lib/db.js';
+import { html } from './lib/html.js';
+import { downloadFile } from './lib/download.js';
+import { getContestProblemUrl } from './lib/upsolve.js';
+import {
+  loadThemeChoice,
+  resolveTheme,
+  applyThemeClasses,
+} from './lib/theme.js';
+
+// Curator page: edits a ladder CSV against the full Codeforces problemset
+// and shows what the ladder page would drop before the file is shared.
+document.addEventListener('DOMContentLoaded', () => {
+  // --- DOM ELEMENTS ---
+  const ladderSelect = document.getElementById('curator-ladder-select');
+  const message = document.getElementById('curator-message');
+  const searchForm = document.getElementById('curator-search-form');
+  const resultsInfo = document.getElementById('curator-results-info');
+  const resultsTable = document.getElementById('curator-results');
+  const addForm = document.getElementById('curator-add-form');
+  const draftTable = document.getElementById('curator-draft');
+  const draftCount = document.getElementById('curator-count');
+  const issuesReport = document.getElementById('curator-issues');
+  const fileName = document.getElementById('curator-file-name');
+  const diffSummary = document.getElementById('curator-diff-summary');
+  const diffView = document.getElementById('curator-diff');
+  const importInput = document.getElementById('curator-import-input');
+
+  // --- STATE & CONSTANTS ---
+  const DRAFT_KEY = 'cfLadderCuratorDraft';
+  const PROBLEMSET_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+  const MAX_RESULTS = 50;
+  const DIFF_CONTEXT = 2; // Unchanged lines shown around each change
+
+  const cfApi = createCfClient({ baseUrl: getConfiguredBaseUrl() });
+
+  let ladders = [];
+  let ladder = null;
+  let fileText = ''; // The ladder file as published, the base of the diff
+  let fileColumns = []; // Its header, kept so an unchanged file diffs clean
+  let rows = []; // Draft rows in file order: { problem_links, section, ... }
+  let catalogue = null; // Problem id -> record, the whole problemset
+  let catalogueSyncedAt = null;
+
+  // --- INITIALIZATION ---
+  async function init() {
+    setupTheme();
+    setupEventListeners();
+    await loadLadders();
+    loadProblemset();
+  }
+
+  // Follows the theme picked on the ladder page
+  function setupTheme() {
+    const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+    const apply = () =>
+      applyThemeClasses(
+        document.body,
+        resolveTheme(loadThemeChoice(), systemDark.matches)
+      );
+    apply();
+    systemDark.addEventListener('change', apply);
+  }
+
+  // --- LADDER FILES ---
+  async function loadLadders() {
+    try {
+      const response = await fetch('ladders.json');
+      if (!response.ok) throw new Error(response.statusText);
+      ladders = await response.json();
+    } catch (error) {
+      ladders = [];
+    }
+    if (!Array.isArray(ladders) || ladders.length === 0) {
+      ladders = DEFAULT_LADDERS;
+    }
+
+    const draft = loadDraft();
+    const savedLadder =
+      (draft && draft.ladderId) || localStorage.getItem('cfLadderId');
+    const selected = ladders.find((l) => l.id === savedLadder) || ladders[0];
+
+    ladderSelect.innerHTML = html`${ladders.map(
+      (l) => html`<option value="${l.id}">${l.name} (${l.file})</option>`
+    )}`;
+    ladderSelect.value = selected.id;
+    await openLadder(selected, { restoreDraft: true });
+  }
+
+  async function openLadder(nextLadder, { restoreDraft = false } = {}) {
+    ladder = nextLadder;
+    fileName.textContent = ladder.file;
+    try {
+      const response = await fetch(ladder.file);
+      if (!response.ok) throw new Error(response.statusText);
+      fileText = await response.text();
+    } catch (error) {
+      fileText = '';
+      updateMessage(`Could not load ${ladder.file}: ${error.message}`);
+    }
+
+    fileColumns =
+      Papa.parse(fileText, {
+        preview: 1,
+        transformHeader: (header) => header.trim().toLowerCase(),
+        header: true,
+      }).meta.fields || [];
+
+    const draft = restoreDraft && loadDraft();
+    if (draft && draft.ladderId === ladder.id) {
+      rows = draft.rows;
+      updateMessage(`Restored your unsaved changes to ${ladder.file}.`);
+    } else {
+      rows = rowsFromCsv(fileText);
+      saveDraft();
+    }
+    render();
+  }
+
+  // Rows of a ladder CSV in file order. Their `order` values are kept as
+  // they are, so loading and saving a file changes nothing.
+  function rowsFromCsv(text) {
+    const { data } = Papa.parse(text, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim().toLowerCase(),
+    });
+    return data.map(toDraftRow);
+  }
+
+  function toDraftRow(row) {
+    return Object.fromEntries(
+      LADDER_COLUMNS.map((field) => [field, String(row[field] || '').trim()])
+    );
+  }
+
+  function toCsv(draftRows) {
+    return serializeLadder(draftRows, fileColumns);
+  }
+
+  function isModified() {
+    return toCsv(rows) !== toCsv(rowsFromCsv(fileText));
+  }
+
+  function loadDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+      return draft && Array.isArray(draft.rows) ? draft : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Only an edited ladder is kept, so a fresh visit starts from the file
+  function saveDraft() {
+    if (!ladder || !isModified()) {
+      localStorage.removeItem(DRAFT_KEY);
+      return;
+    }
+    localStorage.setItem(
+      DRAFT_KEY,
+      JSON.stringify({ ladderId: ladder.id, rows })
+    );
+  }
+
+  // --- PROBLEMSET ---
+  // The whole problemset is cached apart from the ladder page's catalogue,
+  // which only keeps the problems of the selected ladder.
+  async function loadProblemset({ force = false } = {}) {
+    let cached = null;
+    try {
+      cached = await dbGet('meta', 'problemset');
+    } catch (error) {
+      console.warn('Could not read the problemset cache:', error);
+    }
+    if (cached) setCatalogue(cached.problems, cached.syncedAt);
+    if (
+      !force &&
+      cached &&
+      Date.now() - cached.syncedAt < PROBLEMSET_MAX_AGE_MS
+    ) {
+      return;
+    }
+
+    resultsInfo.textContent = 'Downloading the Codeforces problemset...';
+    try {
+      const result = await cfApi.call('problemset.problems');
+      const records = result.problems.map((problem, index) =>
+        toCatalogueRecord(problem, result.problemStatistics[index].solvedCount)
+      );
+      const syncedAt = Date.now();
+      setCatalogue(records, syncedAt);
+      dbPut('meta', { key: 'problemset', syncedAt, problems: records }).catch(
+        (error) => console.warn('Could not cache the problemset:', error)
+      );
+    } catch (error) {
+      if (cached) {
+        updateMessage(
+          `Codeforces is unreachable, using the problemset from ${new Date(
+            cached.syncedAt
+          ).toLocaleString()}.`
+        );
+        renderResults();
+      } else {
+        resultsInfo.textContent = `Error loading problems: ${error.message}`;
+      }
+    }
+  }
+
+  function setCatalogue(records, syncedAt) {
+    catalogue = new Map(records.map((record) => [record.id, record]));
+    catalogueSyncedAt = syncedAt;
+
+    const rated = records.filter((p) => p.rating !== undefined);
+    const ratingSelect = searchForm.elements.rating;
+    const tagSelect = searchForm.elements.tag;
+    const { value: rating } = ratingSelect;
+    const { value: tag } = tagSelect;
+    ratingSelect.innerHTML = html`
+      <option value="">Any rating</option>
+      <option value="unrated">Unrated</option>
+      ${getRatings(rated).map((r) => html`<option value="${r}">${r}</option>`)}
+    `;
+    tagSelect.innerHTML = html`
+      <option value="">Any tag</option>
+      ${getTagsByFrequency(records).map(
+        (t) => html`<option value="${t}">${t}</option>`
+      )}
+    `;
+    ratingSelect.value = rating;
+    tagSelect.value = tag;
+    render();
+  }
+
+  // --- RENDERING ---
+  function render() {
+    renderResults();
+    renderDraft();
+    renderDiff();
+  }
+
+  function renderResults() {
+    if (!catalogue) {
+      resultsTable.innerHTML = '';
+      return;
+    }
+    const { query, rating, tag } = searchForm.elements;
+    let problems = [...catalogue.values()];
+    if (rating.value === 'unrated') {
+      problems = problems.filter((p) => p.rating === undefined);
+    }
+    problems = filterProblems(problems, {
+      rating: rating.value === 'unrated' ? null : Number(rating.value) || null,
+      tags: new Set(tag.value ? [tag.value] : []),
+      query: query.value.trim(),
+    });
+
+    resultsInfo.textContent = `${
+      problems.length > MAX_RESULTS
+        ? `Showing ${MAX_RESULTS} of ${problems.length}`
+        : problems.length
+    } problems, synced ${new Date(catalogueSyncedAt).toLocaleString()}.`;
+
+    const inLadder = new Set(
+      rows.map((row) => row.problem_links.toUpperCase())
+    );
+    resultsTable.innerHTML = html`
+      <thead>
+        <tr>
+          <th>ID</th>
+          <th>Problem</th>
+          <th>Rating</th>
+          <th>Tags</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${problems.length === 0
+          ? html`<tr>
+              <td colspan="5" class="placeholder">No problems match.</td>
+            </tr>`
+          : problems.slice(0, MAX_RESULTS).map(
+              (p) => html` <tr>
+                <td class="problem-id">${p.id}</td>
+                <td>
+                  <a
+                    href="${getContestProblemUrl(p)}"
+                    target="_blank"
+                    class="problem-link"
+                    >${p.name}</a
+                  >
+                </td>
+                <td>
+                  ${p.rating ||
+                  html`<span
+                    class="status-attempted"
+                    title="Needs a difficulty to be listed"
+                    >unrated</span
+                  >`}
+                </td>
+                <td>
+                  ${p.tags.map((t) => html`<span class="tag-chip">${t}</span>`)}
+                </td>
+                <td>
+                  <button
+                    class="secondary-btn"
+                    data-add="${p.id}"
+                    ${inLadder.has(p.id) ? 'disabled' : ''}
+                  >
+                    ${inLadder.has(p.id) ? 'Added' : 'Add'}
+                  </button>
+                </td>
+              </tr>`
+            )}
+      </tbody>
+    `;
+  }
+
+  // The same checks the ladder page runs, keyed by CSV line
+  function validateRows() {
+    const { entries, issues } = parseLadderRows(rows);
+    const joined = catalogue
+      ? joinLadder(entries, catalogue)
+      : { problems: [], issues: [] };
+    const allIssues = [...issues, ...joined.issues].sort(
+      (a, b) => a.line - b.line
+    );
+    return {
+      issues: allIssues,
+      listed: catalogue ? joined.problems.length : null,
+    };
+  }
+
+  function renderDraft() {
+    const { issues, listed } = validateRows();
+    const issuesByLine = new Map();
+    issues.forEach((issue) => {
+      issuesByLine.set(issue.line, [
+        ...(issuesByLine.get(issue.line) || []),
+        issue.message,
+      ]);
+    });
+
+    draftCount.textContent =
+      listed === null
+        ? `(${rows.length} rows)`
+        : `(${listed} of ${rows.length} rows listed)`;
+
+    // attrs is trusted markup, e.g. html`size="7"`
+    const input = (index, field, value, attrs = '') =>
+      html`<input
+        class="curator-input"
+        data-index="${index}"
+        data-field="${field}"
+        value="${value}"
+        aria-label="${field.replace('_', ' ')}, row ${index + 1}"
+        ${attrs}
+      />`;
+
+    draftTable.innerHTML = html`
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>ID</th>
+          <th>Problem</th>
+          <th>CF Rating</th>
+          <th>Difficulty</th>
+          <th>Section</th>
+          <th>Note</th>
+          <th>Order</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.length === 0
+          ? html`<tr>
+              <td colspan="9" class="placeholder">
+                The ladder is empty, add problems from the search.
+              </td>
+            </tr>`
+          : rows.map((row, index) => {
+              const problem =
+                catalogue && catalogue.get(row.problem_links.toUpperCase());
+              const rowIssues = issuesByLine.get(index + 2) || [];
+              return html` <tr class="${rowIssues.length > 0 ? 'dropped' : ''}">
+                <td>${index + 1}</td>
+                <td>
+                  ${input(
+                    index,
+                    'problem_links',
+                    row.problem_links,
+                    html`size="7"`
+                  )}
+                </td>
+                <td>
+                  ${problem ? problem.name : '-'}${rowIssues.map(
+                    (issue) =>
+                      html`<div class="curator-issue">
+                        <i class="fas fa-triangle-exclamation"></i> ${issue}
+                      </div>`
+                  )}
+                </td>
+                <td>${(problem && problem.rating) || '-'}</td>
+                <td>
+                  ${input(
+                    index,
+                    'difficulty',
+                    row.difficulty,
+                    html`type="number" min="800" step="100"`
+                  )}
+                </td>
+                <td>
+                  ${input(index, 'section', row.section, html`size="10"`)}
+                </td>
+                <td>${input(index, 'note', row.note)}</td>
+                <td>
+                  ${input(
+                    index,
+                    'order',
+                    row.order,
+                    html`type="number" step="1" title="Rows with an order come
+                    first, lowest first"`
+                  )}
+                </td>
+                <td class="curator-row-actions">
+                  <button
+                    class="secondary-btn"
+                    data-action="up"
+                    data-index="${index}"
+                    title="Move up"
+                    ${index === 0 ? 'disabled' : ''}
+                  >
+                    <i class="fas fa-arrow-up"></i>
+                  </button>
+                  <button
+                    class="secondary-btn"
+                    data-action="down"
+                    data-index="${index}"
+                    title="Move down"
+                    ${index === rows.length - 1 ? 'disabled' : ''}
+                  >
+                    <i class="fas fa-arrow-down"></i>
+                  </button>
+                  <button
+                    class="secondary-btn"
+                    data-action="remove"
+                    data-index="${index}"
+                    title="Remove"
+                  >
+                    <i class="fas fa-trash"></i>
+                  </button>
+                </td>
+              </tr>`;
+            })}
+      </tbody>
+    `;
+    renderIssues(issues);
+  }
+
+  function renderIssues(issues) {
+    if (issues.length === 0) {
+      issuesReport.innerHTML = '';
+      issuesReport.classList.add('hidden');
+      return;
+    }
+    issuesReport.innerHTML = html`
+      <summary>
+        ${issues.length} row(s) would be dropped or need attention
+      </summary>
+      <ul>
+        ${issues.map(
+          (issue) =>
+            html`<li>
+              <span class="report-line">Line ${issue.line}</span>
+              ${issue.message}
+            </li>`
+        )}
+      </ul>
+    `;
+    issuesReport.classList.remove('hidden');
+  }
+
+  // Unified-style diff of the file against the draft, with long runs of
+  // unchanged lines collapsed
+  function renderDiff() {
+    const diff = diffLines(fileText, toCsv(rows));
+    const added = diff.filter((line) => line.type === 'added').length;
+    const removed = diff.filter((line) => line.type === 'removed').length;
+    if (added === 0 && removed === 0) {
+      diffSummary.textContent = 'No changes.';
+      diffView.innerHTML = '';
+      return;
+    }
+    diffSummary.textContent = `${added} line(s) added, ${removed} removed`;
+
+    const near = diff.map((line, index) =>
+      diff
+        .slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1)
+        .some((other) => other.type !== 'same')
+    );
+    const marks = { same: ' ', added: '+', removed: '-' };
+    const output = [];
+    let skipped = 0;
+    diff.forEach((line, index) => {
+      if (!near[index]) {
+        skipped++;
+        return;
+      }
+      if (skipped > 0) {
+        output.push(
+          html`<span class="diff-skip">... ${skipped} unchanged line(s)</span>`
+        );
+        skipped = 0;
+      }
+      output.push(
+        html`<span class="diff-${line.type}"
+          >${marks[line.type]} ${line.text}</span
+        >`
+      );
+    });
+    if (skipped > 0) {
+      output.push(
+        html`<span class="diff-skip">... ${skipped} unchanged line(s)</span>`
+      );
+    }
+    diffView.innerHTML = output.join('\n');
+  }
+
+  // --- EDITING ---
+  function commitRows() {
+    saveDraft();
+    render();
+  }
+
+  function addProblems(ids) {
+    const present = new Set(rows.map((row) => row.problem_links.toUpperCase()));
+    const section = rows.length > 0 ? rows[rows.length - 1].section : '';
+    const added = [];
+    const skipped = [];
+    ids.forEach((rawId) => {
+      const id = rawId.trim().toUpperCase();
+      if (!id) return;
+      if (present.has(id)) {
+        skipped.push(id);
+        return;
+      }
+      present.add(id);
+      added.push(id);
+      rows.push({
+        problem_links: id,
+        section,
+        difficulty: '',
+        note: '',
+        order: '',
+      });
+    });
+    updateMessage(
+      [
+        added.length > 0 ? `Added ${added.join(', ')}.` : '',
+        skipped.length > 0
+          ? `Already in the ladder: ${skipped.join(', ')}.`
+          : '',
+      ]
+        .filter(Boolean)
+        .join(' ')
+    );
+    commitRows();
+  }
+
+  function moveRow(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= rows.length) return;
+    [rows[index], rows[target]] = [rows[target], rows[index]];
+    commitRows();
+  }
+
+  function importCsv(file) {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim().toLowerCase(),
+      complete: (results) => {
+        if (!results.meta.fields.includes('problem_links')) {
+          updateMessage(`${file.name} has no "problem_links" column.`);
+          return;
+        }
+        // Read it the same way as a published file
+        rows = rowsFromCsv(Papa.unparse(results.data));
+        updateMessage(`Loaded ${rows.length} rows from ${file.name}.`);
+        commitRows();
+      },
+      error: (error) =>
+        updateMessage(`Could not read ${file.name}: ${error.message}`),
+    });
+  }
+
+  function downloadCsv() {
+    downloadFile(ladder.file.split('/').pop(), toCsv(rows), 'text/csv');
+  }
+
+  // --- EVENT LISTENERS ---
+  function setupEventListeners() {
+    searchForm.addEventListener('submit', (e) => e.preventDefault());
+    searchForm.addEventListener('input', renderResults);
+
+    resultsTable.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-add]');
+      if (button) addProblems([button.dataset.add]);
+    });
+
+    addForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const ids = addForm.elements.ids.value.split(/[\s,]+/);
+      addForm.elements.ids.value = '';
+      addProblems(ids);
+    });
+
+    draftTable.addEventListener('change', (e) => {
+      const input = e.target.closest('.curator-input');
+      if (!input) return;
+      rows[Number(input.dataset.index)][input.dataset.field] =
+        input.value.trim();
+      commitRows();
+    });
+
+    draftTable.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const index = Number(button.dataset.index);
+      if (button.dataset.action === 'up') moveRow(index, -1);
+      if (button.dataset.action === 'down') moveRow(index, 1);
+      if (button.dataset.action === 'remove') {
+        rows.splice(index, 1);
+        commitRows();
+      }
+    });
+
+    ladderSelect.addEventListener('change', () => {
+      const next = ladders.find((l) => l.id === ladderSelect.value);
+      if (isModified() && !confirm(`Discard your changes to ${ladder.file}?`)) {
+        ladderSelect.value = ladder.id;
+        return;
+      }
+      localStorage.removeItem(DRAFT_KEY);
+      updateMessage('');
+      openLadder(next);
+    });
+
+    document
+      .getElementById('curator-reset-btn')
+      .addEventListener('click', () => {
+        if (!isModified()) return;
+        if (!confirm(`Discard your changes to ${ladder.file}?`)) return;
+        rows = rowsFromCsv(fileText);
+        updateMessage(`Reset to ${ladder.file}.`);
+        commitRows();
+      });
+
+    document
+      .getElementById('curator-import-btn')
+      .addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const [file] = importInput.files;
+      importInput.value = '';
+      if (file) importCsv(file);
+    });
+
+    document
+      .getElementById('curator-download-btn')
+      .addEventListener('click', downloadCsv);
+    document
+      .getElementById('curator-refresh-btn')
+      .addEventListener('click', () => loadProblemset({ force: true }));
+  }
+
+  // --- UTILITY FUNCTIONS ---
+  function updateMessage(text) {
+    message.textContent = text;
+  }
+
+  // --- START THE PAGE ---
+  init();
+});
@@ -0,0 +1,93 @@
+// Aggregations behind the analytics charts and the data-driven filters.
+// `problems` may be an array or a Map of problems (values are used).
+
+export function countByTag(problems) {
+  const tagCounts = {};
+  problems.forEach((problem) => {
+    problem.tags.forEach((tag) => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+  });
+  return tagCounts;
+}
+
+export function countByRating(problems) {
+  const ratingCounts = {};
+  problems.forEach((problem) => {
+    if (problem.rating) {
+      ratingCounts[problem.rating] = (ratingCounts[problem.rating] || 0) + 1;
+    }
+  });
+  return ratingCounts;
+}
+
+// Distinct ratings, ascending
+export function getRatings(problems) {
+  return [...new Set(problems.map((p) => p.rating))].sort((a, b) => a - b);
+}
+
+// Distinct tags, most common first
+export function getTagsByFrequency(problems) {
+  return Object.entries(countByTag(problems))
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([tag]) => tag);
+}
+
+// Problem id -> problem for every accepted submission. With ladderById
+// only ladder problems count, using their curated record and rating.
+export function getSolvedProblems(submissions, ladderById = null) {
+  const solvedProblems = new Map();
+  submissions.forEach((sub) => {
+    if (sub.verdict !== 'OK') return;
+    const problemId = `${sub.problem.contestId}${sub.problem.index}`;
+    if (ladderById && !ladderById.has(problemId)) return;
+    if (!solvedProblems.has(problemId)) {
+      solvedProblems.set(
+        problemId,
+        ladderById ? ladderById.get(problemId) : sub.problem
+      );
+    }
+  });
+  return solvedProblems;
+}
+
+// When each ladder rating bucket was finished: the first-solve time of its
+// last problem, for fully solved buckets only. Oldest first.
+export function getBucketCompletions(problems, firstSolves) {
+  const buckets = new Map();
+  problems.forEach((p) => {
+    if (!buckets.has(p.rating)) buckets.set(p.rating, []);
+    buckets.get(p.rating).push(firstSolves.get(`${p.contestId}${p.index}`));
+  });
+  return [...buckets.entries()]
+    .filter(([, times]) => times.every((time) => time !== undefined))
+    .map(([rating, times]) => ({ rating, completedAt: Math.max(...times) }))
+    .sort((a, b) => a.completedAt - b.completedAt || a.rating - b.rating);
+}
+
+// Adds to each user.rating change its delta and how many problems were
+// first solved in the `days` before it, split into ladder and other ones
+export function countSolvesBeforeContests(
+  changes,
+  firstSolves,
+  ladderIds,
+  days = 30
+) {
+  const span = days * 86400;
+  return changes.map((change) => {
+    const end = change.ratingUpdateTimeSeconds;
+    let ladder = 0;
+    let other = 0;
+    firstSolves.forEach((seconds, problemId) => {
+      if (seconds < end - span || seconds >= end) return;
+      if (ladderIds.has(problemId)) ladder++;
+      else other++;
+    });
+    return {
+      ...change,
+      delta: change.newRating - change.oldRating,
+      ladder,
+      other,
+    };
+  });
+}
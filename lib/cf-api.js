@@ -0,0 +1,196 @@
+// Codeforces API client. Every call goes through one queue so the app stays
+// under the limit of roughly one request per two seconds, and gets retries,
+// a timeout, cancellation and optional short-lived response caching.
+export const DEFAULT_BASE_URL = 'https://codeforces.com/api';
+
+const CALL_LIMIT_COMMENT = 'Call limit exceeded';
+
+export class CfApiError extends Error {
+  constructor(message, { method, retryable = false } = {}) {
+    super(message);
+    this.name = 'CfApiError';
+    this.method = method;
+    this.retryable = retryable;
+  }
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          reject(abortError());
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+export function buildApiUrl(baseUrl, method, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.set(key, String(value));
+  });
+  const queryString = query.toString();
+  return `${baseUrl.replace(/\/+$/, '')}/${method}${
+    queryString ? `?${queryString}` : ''
+  }`;
+}
+
+// Base URL for this page: the settings override saved in localStorage, then
+// the page's <meta name="cf-api-base">, then codeforces.com itself
+export function getConfiguredBaseUrl() {
+  const meta = document.querySelector('meta[name="cf-api-base"]');
+  return (
+    localStorage.getItem('cfLadderApiBase') ||
+    (meta && meta.content) ||
+    DEFAULT_BASE_URL
+  );
+}
+
+export function createCfClient({
+  baseUrl = DEFAULT_BASE_URL,
+  minGapMs = 2000,
+  timeoutMs = 20000,
+  maxRetries = 4,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  let currentBaseUrl = baseUrl;
+  let nextSlotAt = 0;
+  let pumpTimer = null;
+  const queue = []; // { resolve, reject, background }
+  const cache = new Map(); // url -> { result, expiresAt }
+
+  // Releases one queued request per slot, foreground requests first
+  function pump() {
+    pumpTimer = null;
+    if (queue.length === 0) return;
+    const wait = nextSlotAt - Date.now();
+    if (wait > 0) {
+      pumpTimer = setTimeout(pump, wait);
+      return;
+    }
+    const index = queue.findIndex((entry) => !entry.background);
+    const [entry] = queue.splice(index === -1 ? 0 : index, 1);
+    nextSlotAt = Date.now() + minGapMs;
+    entry.resolve();
+    if (queue.length > 0) pumpTimer = setTimeout(pump, minGapMs);
+  }
+
+  function waitForSlot(signal, background) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const entry = { resolve, reject, background };
+      queue.push(entry);
+      if (signal) {
+        signal.addEventListener(
+          'abort',
+          () => {
+            const index = queue.indexOf(entry);
+            if (index === -1) return;
+            queue.splice(index, 1);
+            reject(abortError());
+          },
+          { once: true }
+        );
+      }
+      if (!pumpTimer) pump();
+    });
+  }
+
+  async function request(method, url, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let data;
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal });
+      if (response.status === 503 || response.status === 429) {
+        throw new CfApiError('Codeforces is busy, please retry later.', {
+          method,
+          retryable: true,
+        });
+      }
+      data = await response.json();
+    } catch (error) {
+      if (signal && signal.aborted) throw abortError();
+      if (error instanceof CfApiError) throw error;
+      throw new CfApiError(
+        controller.signal.aborted
+          ? 'Codeforces API timed out.'
+          : 'Could not connect to Codeforces API.',
+        { method, retryable: true }
+      );
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (data.status !== 'OK') {
+      const comment = data.comment || 'Invalid handle or API error.';
+      throw new CfApiError(comment, {
+        method,
+        retryable: comment.includes(CALL_LIMIT_COMMENT),
+      });
+    }
+    return data.result;
+  }
+
+  // Options: signal (AbortSignal) cancels a queued or running call,
+  // cacheTtlMs reuses a successful response for that long and background
+  // lets every other queued call go first.
+  async function call(
+    method,
+    params = {},
+    { signal, cacheTtlMs = 0, background = false } = {}
+  ) {
+    const url = buildApiUrl(currentBaseUrl, method, params);
+    const cached = cache.get(url);
+    if (cacheTtlMs > 0 && cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot(signal, background);
+      try {
+        const result = await request(method, url, signal);
+        if (cacheTtlMs > 0) {
+          cache.set(url, { result, expiresAt: Date.now() + cacheTtlMs });
+        }
+        return result;
+      } catch (error) {
+        if (!error.retryable || attempt >= maxRetries) throw error;
+        // Exponential backoff with jitter: ~2s, 4s, 8s, 16s
+        const delay = minGapMs * 2 ** attempt * (1 + Math.random() / 2);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  return {
+    call,
+    getBaseUrl: () => currentBaseUrl,
+    setBaseUrl(url) {
+      currentBaseUrl = url || DEFAULT_BASE_URL;
+      cache.clear();
+    },
+    clearCache: () => cache.clear(),
+  };
+}
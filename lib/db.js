@@ -0,0 +1,78 @@
+// IndexedDB storage shared by the ladder and the curator page. Every store
+// is created up front so both pages can open the same database version.
+const DB_NAME = 'iiuccps-ladder';
+const DB_VERSION = 6;
+// Object stores and their key paths; bump DB_VERSION when adding one or
+// changing a key path
+const DB_STORES = {
+  problems: 'id',
+  meta: 'key',
+  submissions: 'handle',
+  annotations: 'id',
+  reviews: 'handle',
+  personal: 'handle',
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(DB_STORES).forEach(([name, keyPath]) => {
+          // A store whose key path changed is dropped along with its records
+          if (
+            db.objectStoreNames.contains(name) &&
+            request.transaction.objectStore(name).keyPath !== keyPath
+          ) {
+            db.deleteObjectStore(name);
+          }
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function dbRequest(storeName, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request && request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+export function dbGet(storeName, key) {
+  return dbRequest(storeName, 'readonly', (store) => store.get(key));
+}
+
+export function dbGetAll(storeName) {
+  return dbRequest(storeName, 'readonly', (store) => store.getAll());
+}
+
+export function dbPut(storeName, record) {
+  return dbRequest(storeName, 'readwrite', (store) => store.put(record));
+}
+
+export function dbDelete(storeName, key) {
+  return dbRequest(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+export function dbPutAll(storeName, records) {
+  return dbRequest(storeName, 'readwrite', (store) => {
+    records.forEach((record) => store.put(record));
+  });
+}
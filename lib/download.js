@@ -0,0 +1,12 @@
+// Saves generated text (CSV, ICS, JSON) as a file download. The link is
+// attached while it is clicked, which some browsers need.
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,72 @@
+// Problem table filtering and sorting, independent of the DOM. `filters`
+// mirrors the app state: { rating, ratingMax, tags, excludedTags, tagLogic,
+// query, onlyAttempted, hideSolved } where tags are Sets.
+export const STATUS_ORDER = { SOLVED: 2, ATTEMPTED: 1 };
+export const SORT_KEYS = ['name', 'rating', 'solvedCount', 'status', 'contest'];
+
+// rating is a number, 'all' or null; ratingMax makes it a range
+export function matchesRating(problem, rating, ratingMax = null) {
+  if (!rating || rating === 'all') return true;
+  return problem.rating >= rating && problem.rating <= (ratingMax || rating);
+}
+
+// OR needs one selected tag, AND needs all of them; excluded tags always
+// remove a problem, whichever logic is selected.
+export function matchesTags(problem, tags, excludedTags, tagLogic = 'OR') {
+  if (problem.tags.some((tag) => excludedTags.has(tag))) return false;
+  if (tags.size === 0) return true;
+  const problemTags = new Set(problem.tags);
+  if (tagLogic === 'OR') return [...tags].some((tag) => problemTags.has(tag));
+  return [...tags].every((tag) => problemTags.has(tag));
+}
+
+export function filterProblems(problems, filters, statusMap = new Map()) {
+  const {
+    rating = null,
+    ratingMax = null,
+    tags = new Set(),
+    excludedTags = new Set(),
+    tagLogic = 'OR',
+    query = '',
+    onlyAttempted = false,
+    hideSolved = false,
+  } = filters;
+  const search = query.toLowerCase();
+  const statusOf = (p) => statusMap.get(`${p.contestId}${p.index}`);
+
+  return problems.filter(
+    (p) =>
+      matchesRating(p, rating, ratingMax) &&
+      matchesTags(p, tags, excludedTags, tagLogic) &&
+      (!search ||
+        p.name.toLowerCase().includes(search) ||
+        `${p.contestId}${p.index}`.toLowerCase().includes(search)) &&
+      (onlyAttempted
+        ? statusOf(p) === 'ATTEMPTED'
+        : !hideSolved || statusOf(p) !== 'SOLVED')
+  );
+}
+
+// sortKey is one of SORT_KEYS; null keeps the given (curated) order
+export function sortProblems(
+  problems,
+  sortKey,
+  sortDir,
+  statusMap = new Map()
+) {
+  if (!sortKey) return problems;
+
+  const statusOf = (p) =>
+    STATUS_ORDER[statusMap.get(`${p.contestId}${p.index}`)] || 0;
+  const compare = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    rating: (a, b) => a.rating - b.rating,
+    solvedCount: (a, b) => (a.solvedCount || 0) - (b.solvedCount || 0),
+    status: (a, b) => statusOf(a) - statusOf(b),
+    contest: (a, b) =>
+      a.contestId - b.contestId || a.index.localeCompare(b.index),
+  }[sortKey];
+
+  const direction = sortDir === 'asc' ? 1 : -1;
+  return [...problems].sort((a, b) => direction * compare(a, b));
+}
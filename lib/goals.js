@@ -0,0 +1,113 @@
+// Personal goals and achievement badges. Goals are saved as plain objects:
+//   { id, type: 'bucket', rating, tag, deadline, createdAt } finishes every
+//     ladder problem of a rating (and tag, if set) by the deadline day
+//   { id, type: 'weekly', count, createdAt } solves `count` new ladder
+//     problems each week
+// Times are milliseconds except the first-solve times, which are seconds
+// as in the API.
+
+export const GOAL_TYPES = {
+  bucket: 'Finish a rating',
+  weekly: 'Ladder problems per week',
+};
+
+export const BADGES = [
+  {
+    id: 'solved-100',
+    name: 'Century',
+    description: 'Solve 100 ladder problems',
+    icon: 'fa-medal',
+  },
+  {
+    id: 'bucket-cleared',
+    name: 'Bucket Cleared',
+    description: 'Solve every ladder problem of one rating',
+    icon: 'fa-layer-group',
+  },
+  {
+    id: 'streak-7',
+    name: 'Week on Fire',
+    description: 'Get an accepted solution 7 days in a row',
+    icon: 'fa-fire',
+  },
+];
+
+export function describeGoal(goal) {
+  if (goal.type === 'weekly') {
+    return `Solve ${goal.count} ladder problem(s) every week`;
+  }
+  const tag = goal.tag ? ` ${goal.tag}` : '';
+  return `Finish all ${goal.rating}${tag} problems by ${goal.deadline}`;
+}
+
+// The deadline is a YYYY-MM-DD day in local time and lasts until its end
+function deadlineEnd(deadline) {
+  const end = new Date(`${deadline}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  return end.getTime();
+}
+
+// Behind when fewer are done than an even pace from start to end would give
+function paceStatus(done, total, start, end, now) {
+  if (done >= total) return 'complete';
+  if (now >= end) return 'overdue';
+  const expected = (total * (now - start)) / (end - start);
+  return done < Math.floor(expected) ? 'behind' : 'on-track';
+}
+
+// { done, total, status } where status is 'complete', 'on-track', 'behind',
+// 'overdue' or 'missing' (no such problems in the ladder). A weekly goal is
+// measured over the week from weekStart.
+export function evaluateGoal(
+  goal,
+  { problems, statusMap, firstSolves, weekStart, now = Date.now() }
+) {
+  const idOf = (p) => `${p.contestId}${p.index}`;
+
+  if (goal.type === 'weekly') {
+    const ladderIds = new Set(problems.map(idOf));
+    let done = 0;
+    firstSolves.forEach((seconds, problemId) => {
+      if (ladderIds.has(problemId) && seconds * 1000 >= weekStart) done++;
+    });
+    const weekEnd = weekStart + 7 * 86400000;
+    return {
+      done,
+      total: goal.count,
+      status: paceStatus(done, goal.count, weekStart, weekEnd, now),
+    };
+  }
+
+  const matching = problems.filter(
+    (p) => p.rating === goal.rating && (!goal.tag || p.tags.includes(goal.tag))
+  );
+  const done = matching.filter(
+    (p) => statusMap.get(idOf(p)) === 'SOLVED'
+  ).length;
+  const total = matching.length;
+  const status =
+    total === 0
+      ? 'missing'
+      : paceStatus(
+          done,
+          total,
+          goal.createdAt,
+          deadlineEnd(goal.deadline),
+          now
+        );
+  return { done, total, status };
+}
+
+// Ids of the badges the numbers qualify for, in BADGES order
+export function getEarnedBadges({
+  solvedCount,
+  clearedBuckets,
+  longestStreak,
+}) {
+  const earned = {
+    'solved-100': solvedCount >= 100,
+    'bucket-cleared': clearedBuckets > 0,
+    'streak-7': longestStreak >= 7,
+  };
+  return BADGES.filter((badge) => earned[badge.id]).map((badge) => badge.id);
+}
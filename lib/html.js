@@ -0,0 +1,54 @@
+// Escaping template tag for the innerHTML renderers. Values interpolated into
+// an html`...` template are escaped unless they are themselves html`...`
+// fragments, so names, notes and handles from the API, a CSV or the URL are
+// always shown as text.
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+  toString() {
+    return this.markup;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+// null and undefined render as nothing, arrays as their joined items
+function renderValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Links from data files keep http(s), mailto and relative URLs only, so a
+// `javascript:` URL cannot end up in an href
+export function safeUrl(url) {
+  try {
+    const { protocol } = new URL(String(url), 'http://localhost/');
+    return SAFE_PROTOCOLS.includes(protocol) ? String(url) : '#';
+  } catch (error) {
+    return '#';
+  }
+}
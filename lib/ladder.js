@@ -0,0 +1,200 @@
+// Ladder CSV parsing and writing, and the slim problem records kept in the
+// catalogue. Pure functions: no DOM, storage or network access.
+export const PROBLEM_ID_PATTERN = /^[1-9]\d*[A-Z]\d?$/;
+
+// Validates the rows of a ladder CSV (headers lower-cased). Bad rows are
+// reported with their line number instead of failing the whole file.
+export function parseLadderRows(rows) {
+  const entries = [];
+  const issues = [];
+  const seen = new Map();
+
+  rows.forEach((row, index) => {
+    const line = index + 2; // Line 1 is the header
+    const id = (row.problem_links || '').trim().toUpperCase();
+
+    if (!id) {
+      issues.push({ line, message: 'Missing problem id, row skipped.' });
+      return;
+    }
+    if (!PROBLEM_ID_PATTERN.test(id)) {
+      issues.push({ line, message: `"${id}" is not a valid problem id.` });
+      return;
+    }
+    if (seen.has(id)) {
+      issues.push({
+        line,
+        message: `${id} duplicates line ${seen.get(id)}, row skipped.`,
+      });
+      return;
+    }
+    seen.set(id, line);
+
+    const entry = {
+      id,
+      line,
+      section: (row.section || '').trim(),
+      note: (row.note || '').trim(),
+      order: null,
+      difficulty: null,
+    };
+
+    const order = (row.order || '').trim();
+    if (order) {
+      if (Number.isFinite(Number(order))) entry.order = Number(order);
+      else issues.push({ line, message: `Invalid order "${order}".` });
+    }
+
+    const difficulty = (row.difficulty || '').trim();
+    if (difficulty) {
+      const value = Number(difficulty);
+      if (Number.isInteger(value) && value >= 800 && value % 100 === 0) {
+        entry.difficulty = value;
+      } else {
+        issues.push({
+          line,
+          message: `Invalid difficulty "${difficulty}" for ${id}.`,
+        });
+      }
+    }
+
+    entries.push(entry);
+  });
+
+  return { entries, issues };
+}
+
+export function toCatalogueRecord(problem, solvedCount) {
+  return {
+    id: `${problem.contestId}${problem.index}`,
+    contestId: problem.contestId,
+    index: problem.index,
+    name: problem.name,
+    rating: problem.rating,
+    tags: problem.tags,
+    solvedCount,
+  };
+}
+
+// Joins parsed ladder entries with the catalogue (a Map keyed by problem id).
+// A curated difficulty overrides the Codeforces rating; problems that are
+// missing or unrated are reported. Explicitly ordered rows come first, the
+// rest keep their file order.
+export function joinLadder(
+  entries,
+  catalogue,
+  { catalogueComplete = true } = {}
+) {
+  const issues = [];
+  const problems = [];
+  entries.forEach((entry) => {
+    const problem = catalogue.get(entry.id);
+    if (!problem) {
+      issues.push({
+        line: entry.line,
+        message: catalogueComplete
+          ? `${entry.id} was not found on Codeforces.`
+          : `${entry.id} is not in the offline cache yet.`,
+      });
+      return;
+    }
+    const rating = entry.difficulty || problem.rating;
+    if (rating === undefined) {
+      issues.push({
+        line: entry.line,
+        message: `${entry.id} has no rating, add a difficulty to list it.`,
+      });
+      return;
+    }
+    problems.push({
+      ...problem,
+      rating,
+      cfRating: problem.rating,
+      section: entry.section,
+      note: entry.note,
+      order: entry.order,
+      line: entry.line,
+    });
+  });
+
+  problems.sort((a, b) => {
+    const orderA = a.order === null ? Infinity : a.order;
+    const orderB = b.order === null ? Infinity : b.order;
+    return orderA - orderB || a.line - b.line;
+  });
+  return { problems, issues };
+}
+
+// Used when ladders.json is missing or empty
+export const DEFAULT_LADDERS = [
+  { id: 'iiuccps', name: 'IIUCCPS Ladder', file: 'problems.csv' },
+];
+
+// Columns of a ladder CSV, in the order the curator writes them
+export const LADDER_COLUMNS = [
+  'problem_links',
+  'section',
+  'difficulty',
+  'note',
+  'order',
+];
+
+function csvField(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes ladder rows ({ problem_links, section, ... }) back to CSV. Optional
+// columns are only written when a row uses them or they are listed in
+// keepColumns (e.g. the header of the file being edited), so a plain list
+// of ids stays a single-column file.
+export function serializeLadder(rows, keepColumns = []) {
+  const columns = LADDER_COLUMNS.filter(
+    (column, index) =>
+      index === 0 ||
+      keepColumns.includes(column) ||
+      rows.some((row) => String(row[column] || '').trim())
+  );
+  const lines = rows.map((row) =>
+    columns
+      .map((column) => csvField(String(row[column] || '').trim()))
+      .join(',')
+  );
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+// Line diff of two texts via their longest common subsequence. Returns
+// [{ type: 'same' | 'added' | 'removed', text }] in reading order.
+export function diffLines(before, after) {
+  const a = before.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  const b = after.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] });
+    } else {
+      diff.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+  return diff;
+}
@@ -0,0 +1,71 @@
+// Problem selection and scoring for timed practice sessions. A session is
+// { startedAt, endsAt, problems: [{ id, ... }], results } with times in
+// milliseconds; results are keyed by problem id.
+import { isPendingVerdict } from './submissions.js';
+
+export const PENALTY_PER_WRONG_TRY = 20; // Minutes, as in ICPC scoring
+
+// Splits the rating-sorted pool into equal bands and draws one problem
+// from each, so the set spans the selected range like a real contest. A
+// pool smaller than count is returned whole. random is Math.random or a
+// stand-in for tests.
+export function pickPracticeProblems(candidates, count, random = Math.random) {
+  const sorted = [...candidates].sort((a, b) => a.rating - b.rating);
+  const picks = Math.min(count, sorted.length);
+  const bandSize = sorted.length / picks;
+  return Array.from({ length: picks }, (_, i) => {
+    const start = Math.floor(i * bandSize);
+    const end = Math.floor((i + 1) * bandSize);
+    return sorted[start + Math.floor(random() * (end - start))];
+  });
+}
+
+// Solve time and wrong tries per problem within the session window;
+// compilation errors and pending verdicts are not penalised.
+export function scorePracticeSession(session, submissions) {
+  const ids = new Set(session.problems.map((p) => p.id));
+  const results = {};
+  submissions
+    .filter((sub) => {
+      const time = sub.creationTimeSeconds * 1000;
+      return (
+        time >= session.startedAt &&
+        time <= session.endsAt &&
+        ids.has(`${sub.problem.contestId}${sub.problem.index}`)
+      );
+    })
+    .sort((a, b) => a.creationTimeSeconds - b.creationTimeSeconds)
+    .forEach((sub) => {
+      const problemId = `${sub.problem.contestId}${sub.problem.index}`;
+      const result = results[problemId] || { wrongTries: 0, solvedAt: null };
+      results[problemId] = result;
+      if (result.solvedAt !== null) return;
+      if (sub.verdict === 'OK') {
+        result.solvedAt = sub.creationTimeSeconds * 1000 - session.startedAt;
+      } else if (
+        sub.verdict !== 'COMPILATION_ERROR' &&
+        !isPendingVerdict(sub)
+      ) {
+        result.wrongTries++;
+      }
+    });
+  return results;
+}
+
+// { solved, penalty }: penalty is the minutes to each solve plus
+// PENALTY_PER_WRONG_TRY for every wrong try before it
+export function getPracticeTotals(session) {
+  const solved = Object.values(session.results).filter(
+    (result) => result.solvedAt !== null
+  );
+  return {
+    solved: solved.length,
+    penalty: solved.reduce(
+      (sum, result) =>
+        sum +
+        Math.floor(result.solvedAt / 6e4) +
+        result.wrongTries * PENALTY_PER_WRONG_TRY,
+      0
+    ),
+  };
+}
@@ -0,0 +1,48 @@
+// Scheduling for the spaced repetition review queue. Days are YYYY-MM-DD
+// keys in the user's local calendar.
+
+// Calendar arithmetic on the key itself, so no time zone is involved
+export function addDays(dayKey, days) {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// First due day for each new card, as a Map from problem id. solves maps
+// problem ids to the day they were first solved; dueDays lists the due days
+// of the cards already queued. A card is first due `delay` days after its
+// solve, unless that day has passed, as for the history found on a first
+// sync: those are spread from today on, newest solves first, and only go
+// to days with fewer than `perDay` cards due.
+export function scheduleFirstReviews(
+  solves,
+  dueDays,
+  today,
+  { delay, perDay }
+) {
+  const load = new Map();
+  const book = (day) => load.set(day, (load.get(day) || 0) + 1);
+  dueDays.forEach((day) => book(day < today ? today : day));
+
+  const due = new Map();
+  const backlog = [];
+  solves.forEach((solvedDay, problemId) => {
+    const day = addDays(solvedDay, delay);
+    if (day >= today) {
+      due.set(problemId, day);
+      book(day);
+    } else {
+      backlog.push([problemId, solvedDay]);
+    }
+  });
+
+  let day = today;
+  backlog
+    .sort((a, b) => b[1].localeCompare(a[1]))
+    .forEach(([problemId]) => {
+      while ((load.get(day) || 0) >= perDay) day = addDays(day, 1);
+      due.set(problemId, day);
+      book(day);
+    });
+  return due;
+}
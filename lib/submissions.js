@@ -0,0 +1,70 @@
+// Turns Codeforces user.status submissions (newest first, as the API
+// returns them) into per-problem status and attempt statistics.
+export function isPendingVerdict(sub) {
+  return !sub.verdict || sub.verdict === 'TESTING';
+}
+
+// Newest first, like the API. Fresh copies replace stale ones with the
+// same id (e.g. a submission that was still being judged).
+export function mergeSubmissions(existing, fresh) {
+  const byId = new Map(existing.map((sub) => [sub.id, sub]));
+  fresh.forEach((sub) => byId.set(sub.id, sub));
+  return [...byId.values()].sort((a, b) => b.id - a.id);
+}
+
+// SOLVED wins over ATTEMPTED: a wrong answer after an accepted one does not
+// downgrade the problem. Updates statusMap in place and returns it.
+export function applySubmissionsToStatus(submissions, statusMap = new Map()) {
+  const oldestFirst = [...submissions].reverse();
+  oldestFirst.forEach((sub) => {
+    const problemId = `${sub.problem.contestId}${sub.problem.index}`;
+    if (sub.verdict === 'OK') {
+      statusMap.set(problemId, 'SOLVED');
+    } else if (statusMap.get(problemId) !== 'SOLVED') {
+      statusMap.set(problemId, 'ATTEMPTED');
+    }
+  });
+  return statusMap;
+}
+
+// Per problem: judged attempts, tries until the first AC and the last verdict
+export function buildAttemptStats(submissions) {
+  const stats = new Map();
+  [...submissions].reverse().forEach((sub) => {
+    if (isPendingVerdict(sub)) return;
+    const problemId = `${sub.problem.contestId}${sub.problem.index}`;
+    if (!stats.has(problemId)) {
+      stats.set(problemId, {
+        attempts: 0,
+        triesUntilAc: null,
+        firstTryAc: sub.verdict === 'OK',
+        lastVerdict: null,
+        lastLanguage: null,
+        lastPassedTests: 0,
+      });
+    }
+    const entry = stats.get(problemId);
+    entry.attempts++;
+    if (sub.verdict === 'OK' && entry.triesUntilAc === null) {
+      entry.triesUntilAc = entry.attempts;
+    }
+    entry.lastVerdict = sub.verdict;
+    entry.lastLanguage = sub.programmingLanguage;
+    entry.lastPassedTests = sub.passedTestCount;
+  });
+  return stats;
+}
+
+// Problem id -> creation time (seconds) of its first accepted submission
+export function getFirstSolveTimes(submissions) {
+  const firstSolves = new Map();
+  submissions.forEach((sub) => {
+    if (sub.verdict !== 'OK') return;
+    const problemId = `${sub.problem.contestId}${sub.problem.index}`;
+    const previous = firstSolves.get(problemId);
+    if (!previous || sub.creationTimeSeconds < previous) {
+      firstSolves.set(problemId, sub.creationTimeSeconds);
+    }
+  });
+  return firstSolves;
+}
@@ -0,0 +1,66 @@
+// Theme choice and theme-aware chart colours. The active theme is a class on
+// <body>; chart configs name their colours as 'var(--name)' so they can be
+// read again when the theme changes.
+
+export const THEMES = {
+  system: 'Follow system',
+  dark: 'Dark',
+  light: 'Light',
+  contrast: 'High contrast',
+};
+
+// Dark is the stylesheet default and needs no class
+const THEME_CLASSES = { light: 'light-mode', contrast: 'high-contrast' };
+
+const VAR_PATTERN = /^var\((--[\w-]+)\)$/;
+
+function isThemeChoice(choice) {
+  return Object.keys(THEMES).includes(choice);
+}
+
+// The saved choice; older saves are plain 'light' or 'dark'
+export function loadThemeChoice() {
+  const saved = localStorage.getItem('theme');
+  return isThemeChoice(saved) ? saved : 'system';
+}
+
+// 'system' becomes light or dark from prefers-color-scheme
+export function resolveTheme(choice, prefersDark) {
+  if (isThemeChoice(choice) && choice !== 'system') return choice;
+  return prefersDark ? 'dark' : 'light';
+}
+
+export function applyThemeClasses(element, theme) {
+  Object.entries(THEME_CLASSES).forEach(([name, className]) =>
+    element.classList.toggle(className, name === theme)
+  );
+}
+
+// Replaces each 'var(--name)' string in a chart config with readVar(name)
+// and returns where they were, for applyThemeColors after a theme change
+export function bindThemeColors(config, readVar) {
+  const bindings = [];
+  const visit = (owner) => {
+    Object.keys(owner).forEach((key) => {
+      const value = owner[key];
+      const match = typeof value === 'string' && value.match(VAR_PATTERN);
+      if (match) {
+        bindings.push({ owner, key, name: match[1] });
+      } else if (
+        Array.isArray(value) ||
+        (value && Object.getPrototypeOf(value) === Object.prototype)
+      ) {
+        visit(value);
+      }
+    });
+  };
+  visit(config);
+  applyThemeColors(bindings, readVar);
+  return bindings;
+}
+
+export function applyThemeColors(bindings, readVar) {
+  bindings.forEach(({ owner, key, name }) => {
+    owner[key] = readVar(name);
+  });
+}
@@ -0,0 +1,110 @@
+// Contests the user took part in and what is left to upsolve in each, from
+// the author.participantType of their user.status submissions.
+
+// Live, out-of-competition and virtual entries count; practice does not.
+// Earlier types win when one contest was entered more than once.
+export const PARTICIPANT_TYPES = [
+  'CONTESTANT',
+  'OUT_OF_COMPETITION',
+  'VIRTUAL',
+];
+
+// Gym contests are numbered from here and live under /gym/ on Codeforces
+const GYM_MIN_CONTEST_ID = 100000;
+
+const idOf = (problem) => `${problem.contestId}${problem.index}`;
+
+// Gym problems are never part of problemset.problems
+export function isGymContest(contestId) {
+  return contestId >= GYM_MIN_CONTEST_ID;
+}
+
+export function getContestUrl(contestId) {
+  const section = isGymContest(contestId) ? 'gym' : 'contest';
+  return `https://codeforces.com/${section}/${contestId}`;
+}
+
+export function getContestProblemUrl(problem) {
+  return `${getContestUrl(problem.contestId)}/problem/${problem.index}`;
+}
+
+// A, B, C1, C2, ..., D as on the contest page
+function compareIndex(a, b) {
+  return a.index.localeCompare(b.index, 'en', { numeric: true });
+}
+
+// [{ contestId, participantType, startTimeSeconds, solvedCount, problems }]
+// newest first. problems are the ones not accepted during the contest, each
+// { problem, status } where status is 'FAILED' (submitted there without an
+// AC), 'UNOPENED' (no submission there) or 'UPSOLVED' (accepted since).
+// The contest's problems come from the catalogue (a Map keyed by id), plus
+// any the submissions name that it does not know, such as gym problems.
+export function getUpsolveContests(submissions, catalogue) {
+  const contests = new Map();
+  submissions.forEach((sub) => {
+    const type = sub.author.participantType;
+    if (!PARTICIPANT_TYPES.includes(type)) return;
+    const { contestId } = sub.problem;
+    if (!contests.has(contestId)) {
+      contests.set(contestId, {
+        contestId,
+        participantType: type,
+        startTimeSeconds: sub.author.startTimeSeconds,
+        tried: new Set(),
+        solved: new Set(),
+      });
+    }
+    const contest = contests.get(contestId);
+    if (
+      PARTICIPANT_TYPES.indexOf(type) <
+      PARTICIPANT_TYPES.indexOf(contest.participantType)
+    ) {
+      contest.participantType = type;
+    }
+    contest.startTimeSeconds = Math.min(
+      contest.startTimeSeconds,
+      sub.author.startTimeSeconds
+    );
+    (sub.verdict === 'OK' ? contest.solved : contest.tried).add(
+      idOf(sub.problem)
+    );
+  });
+
+  const problemsByContest = new Map(
+    [...contests.keys()].map((contestId) => [contestId, new Map()])
+  );
+  const addProblem = (problem) => {
+    const problems = problemsByContest.get(problem.contestId);
+    if (problems && !problems.has(idOf(problem))) {
+      problems.set(idOf(problem), problem);
+    }
+  };
+  catalogue.forEach(addProblem);
+  submissions.forEach((sub) => addProblem(sub.problem));
+
+  const solvedEver = new Set(
+    submissions
+      .filter((sub) => sub.verdict === 'OK')
+      .map((sub) => idOf(sub.problem))
+  );
+  const statusOf = (contest, id) => {
+    if (solvedEver.has(id)) return 'UPSOLVED';
+    return contest.tried.has(id) ? 'FAILED' : 'UNOPENED';
+  };
+
+  return [...contests.values()]
+    .map((contest) => ({
+      contestId: contest.contestId,
+      participantType: contest.participantType,
+      startTimeSeconds: contest.startTimeSeconds,
+      solvedCount: contest.solved.size,
+      problems: [...problemsByContest.get(contest.contestId).values()]
+        .filter((problem) => !contest.solved.has(idOf(problem)))
+        .sort(compareIndex)
+        .map((problem) => ({
+          problem,
+          status: statusOf(contest, idOf(problem)),
+        })),
+    }))
+    .sort((a, b) => b.startTimeSeconds - a.startTimeSeconds);
+}
@@ -1,16 +1,88 @@
+import { createCfClient, getConfiguredBaseUrl } from './lib/cf-api.js';
+import {
+  DEFAULT_LADDERS,
+  PROBLEM_ID_PATTERN,
+  parseLadderRows,
+  toCatalogueRecord,
+  joinLadder,
+} from './lib/ladder.js';
+import {
+  isPendingVerdict,
+  mergeSubmissions,
+  applySubmissionsToStatus,
+  buildAttemptStats,
+  getFirstSolveTimes,
+} from './lib/submissions.js';
+import {
+  SORT_KEYS,
+  matchesRating,
+  filterProblems,
+  sortProblems,
+} from './lib/filters.js';
+import {
+  countByTag,
+  countByRating,
+  getRatings,
+  getTagsByFrequency,
+  getSolvedProblems,
+  getBucketCompletions,
+  countSolvesBeforeContests,
+} from './lib/analytics.js';
+import {
+  GOAL_TYPES,
+  BADGES,
+  describeGoal,
+  evaluateGoal,
+  getEarnedBadges,
+} from './lib/goals.js';
+import {
+  getUpsolveContests,
+  getContestUrl,
+  getContestProblemUrl,
+  isGymContest,
+} from './lib/upsolve.js';
+import {
+  pickPracticeProblems,
+  scorePracticeSession,
+  getPracticeTotals,
+} from './lib/practice.js';
+import { addDays, scheduleFirstReviews } from './lib/review.js';
+import { dbGet, dbGetAll, dbPut, dbDelete, dbPutAll } from './lib/db.js';
+import { html, safeUrl } from './lib/html.js';
+import { downloadFile } from './lib/download.js';
+import {
+  THEMES,
+  loadThemeChoice,
+  resolveTheme,
+  applyThemeClasses,
+  bindThemeColors,
+  applyThemeColors,
+} from './lib/theme.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   // --- DOM ELEMENTS ---
   const handleInput = document.getElementById('cf-handle-input');
   const searchBtn = document.getElementById('search-btn');
+  const syncBtn = document.getElementById('sync-btn');
+  const autoRefreshSelect = document.getElementById('auto-refresh-select');
   const statusMessage = document.getElementById('status-message');
+  const toastRegion = document.getElementById('toast-region');
 
   // Page containers
   const problemsContainer = document.getElementById('problems-container');
   const analyticsContainer = document.getElementById('analytics-container');
+  const teamContainer = document.getElementById('team-container');
+  const reviewContainer = document.getElementById('review-container');
+  const practiceContainer = document.getElementById('practice-container');
+  const upsolveContainer = document.getElementById('upsolve-container');
 
   // Navigation links
   const problemsLink = document.getElementById('problems-link');
   const analyticsLink = document.getElementById('analytics-link');
+  const teamLink = document.getElementById('team-link');
+  const reviewLink = document.getElementById('review-link');
+  const practiceLink = document.getElementById('practice-link');
+  const upsolveLink = document.getElementById('upsolve-link');
 
   // Problems view elements
   const ratingNav = document.getElementById('rating-nav');
@@ -25,105 +97,466 @@ document.addEventListener('DOMContentLoaded', () => {
   const analyticsMessage = document.getElementById('analytics-message');
   const tagsPieChartCanvas = document.getElementById('tags-pie-chart');
   const ratingsBarChartCanvas = document.getElementById('ratings-bar-chart');
+  const analyticsScope = document.getElementById('analytics-scope');
+  const ladderAnalytics = document.getElementById('ladder-analytics');
+  const ladderProgressCanvas = document.getElementById('ladder-progress-chart');
+  const activitySection = document.getElementById('activity-analytics');
+  const activityHeatmap = document.getElementById('activity-heatmap');
+  const cumulativeChartCanvas = document.getElementById('cumulative-chart');
+  const weeklyChartCanvas = document.getElementById('weekly-chart');
+  const ratingSection = document.getElementById('rating-analytics');
+  const ratingMessage = document.getElementById('rating-message');
+  const ratingDetails = document.getElementById('rating-details');
+  const ratingHistoryCanvas = document.getElementById('rating-history-chart');
+  const upsolveMessage = document.getElementById('upsolve-message');
+  const upsolveList = document.getElementById('upsolve-contests');
+  const goalForm = document.getElementById('goal-form');
+  const goalsMessage = document.getElementById('goals-message');
+  const goalsTable = document.getElementById('goals-table');
+  const efficiencySection = document.getElementById('efficiency-analytics');
+  const verdictChartCanvas = document.getElementById('verdict-chart');
+  const problemTable = document.querySelector(
+    '#problems-container .problem-table'
+  );
+  const attemptsToggle = document.getElementById('attempts-toggle');
+  const recommendToggle = document.getElementById('recommend-toggle');
+  const recommendPanel = document.getElementById('recommend-panel');
+  const tableContainer = document.querySelector(
+    '#problems-container .table-container'
+  );
+  const problemSearch = document.getElementById('problem-search');
+  const hideSolvedToggle = document.getElementById('hide-solved-toggle');
+  const onlyAttemptedToggle = document.getElementById('only-attempted-toggle');
+  const pagination = document.getElementById('pagination');
+  const annotationFilters = document.getElementById('annotation-filters');
+  const annotationModal = document.getElementById('annotation-modal');
+  const annotationForm = document.getElementById('annotation-form');
+  const annotationImportInput = document.getElementById(
+    'annotation-import-input'
+  );
+
+  // Team view elements
+  const teamHandlesInput = document.getElementById('team-handles-input');
+  const teamGroupSelect = document.getElementById('team-group-select');
+  const teamGroupName = document.getElementById('team-group-name');
+  const teamLoadBtn = document.getElementById('team-load-btn');
+  const teamMessage = document.getElementById('team-message');
+  const teamRatingSelect = document.getElementById('team-rating-select');
+  const teamLeaderboard = document.getElementById('team-leaderboard');
+  const teamRatingTable = document.getElementById('team-rating-table');
+  const teamMatrix = document.getElementById('team-matrix');
+  const teamResults = document.getElementById('team-results');
 
   // Theme Toggler
   const themeToggle = document.getElementById('theme-toggle-checkbox');
+  const themeSelect = document.getElementById('theme-select');
+  const rankAccentToggle = document.getElementById('rank-accent-checkbox');
+  const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+  // Ladder picker & CSV report
+  const ladderSelect = document.getElementById('ladder-select');
+  const ladderReport = document.getElementById('ladder-report');
+  const syncIndicator = document.getElementById('sync-indicator');
 
   // --- APP STATE ---
+  let ladders = [];
+  let catalogue = null; // Map of every rated/unrated CF problem, keyed by id
+  let catalogueComplete = false; // False while only the offline cache is loaded
+  let catalogueSyncedAt = null;
+  let syncIndicatorMode = null;
   let allProblems = [];
-  let ladderProblems = [];
+  let ladderProblems = null; // Parsed CSV entries of the selected ladder
+  let csvIssues = [];
   let userSubmissions = [];
+  let currentUserInfo = null;
+  let ratingHistory = null; // { handle, changes, error } from user.rating
   let problemStatusMap = new Map();
+  let problemAttemptMap = new Map();
+  let annotations = new Map(); // Personal star/mark/note, keyed by problem id
+  let personalLadder = new Map(); // The handle's picks from the Upsolve view
+  let upsolveContests = []; // As last rendered, see getUpsolveContests
+  let reviewSchedule = null; // { handle, items: { [problemId]: card } }
+  let practiceSession = null; // The running timed session, mirrored to localStorage
+  let practiceTimer = null;
+  let practicePollTimer = null;
+  let practiceFinishing = false; // Set while an ended session is scored
+  let syncPromise = null; // The running refreshSubmissions, if any
+  let autoRefreshTimer = null;
+  let userLoadController = null; // Aborted when another handle is loaded
+  let modalReturnFocus = null; // Focused before the open modal, restored on close
   let tagsPieChart = null;
   let ratingsBarChart = null;
+  let ladderProgressChart = null;
+  let cumulativeChart = null;
+  let weeklyChart = null;
+  let verdictChart = null;
+  let ratingHistoryChart = null;
+  const themedCharts = new Map(); // canvas -> { chart, bindings }, see createChart
+
+  let team = {
+    members: [], // { handle, info, statusMap }
+    loadId: 0, // Bumped to cancel an in-flight team load
+    controller: null,
+    sortKey: 'solved',
+    sortDir: 'desc',
+  };
 
   let state = {
-    selectedRating: null,
+    selectedRating: null, // A rating, 'all', or the low end of a range
+    ratingMax: null, // High end of a shift-click range
     selectedTags: new Set(),
+    excludedTags: new Set(),
+    selectedMarks: new Set(), // Annotation filters, see ANNOTATION_FILTERS
+    excludedMarks: new Set(),
     tagLogic: 'OR', // 'OR' or 'AND'
+    analyticsScope: 'profile', // 'profile' or 'ladder'
+    showAttempts: localStorage.getItem('cfLadderShowAttempts') === 'true',
+    recommendMode: false,
+    searchQuery: '',
+    hideSolved: false,
+    onlyAttempted: false,
+    sortKey: null, // null keeps the curated order and section grouping
+    sortDir: 'asc',
+    page: 1,
     cfHandle: '',
+    ladderId: '',
+    view: 'problems',
+  };
+
+  const SUBMISSION_PAGE_SIZE = 100;
+  const USER_INFO_CACHE_MS = 5 * 60 * 1000;
+
+  const cfApi = createCfClient({ baseUrl: getConfiguredBaseUrl() });
+
+  const VERDICTS = {
+    OK: { short: 'AC', label: 'Accepted' },
+    WRONG_ANSWER: { short: 'WA', label: 'Wrong answer' },
+    TIME_LIMIT_EXCEEDED: { short: 'TLE', label: 'Time limit exceeded' },
+    MEMORY_LIMIT_EXCEEDED: { short: 'MLE', label: 'Memory limit exceeded' },
+    RUNTIME_ERROR: { short: 'RE', label: 'Runtime error' },
+    COMPILATION_ERROR: { short: 'CE', label: 'Compilation error' },
   };
 
-  const TAGS = [
-    'implementation',
-    'dp',
-    'math',
-    'graphs',
-    'data structures',
-    'greedy',
-    'strings',
-    'binary search',
-    'brute force',
-    'two pointers',
-    'sortings',
-    'bitmasks',
-    'trees',
-    'constructive algorithms',
-    'number theory',
-    'geometry',
-    'combinatorics',
-    'dsu',
-  ];
+  const PAGE_SIZE = 50;
+  const FOCUSABLE_SELECTOR =
+    'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
   // --- INITIALIZATION ---
   function init() {
+    registerServiceWorker();
     setupTheme();
     setupNavigation();
     setupEventListeners();
     setupModals();
+    setupKeyboardShortcuts();
+    setupBanners();
+    setupAutoRefresh();
+    setupTeamView();
+    setupAnalyticsScope();
+    setupAnnotations();
+    setupReviewView();
+    setupPracticeView();
+    setupUpsolveView();
+    setupGoals();
     renderRatingNav();
     renderTags();
+    renderAnnotationFilters();
+    restoreStateFromUrl();
     loadStateFromLocalStorage();
-    fetchCsvData();
-    fetchProblems();
+    resumePracticeSession();
+    loadLadders();
+    setInterval(() => renderSyncIndicator(syncIndicatorMode), 6e4);
+  }
+
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker
+      .register('sw.js')
+      .catch((error) =>
+        console.warn('Service worker registration failed:', error)
+      );
   }
 
   // --- THEME SETUP ---
+  // The header switch picks light or dark; Settings also offers following
+  // the system, high contrast and a rank-coloured accent
   function setupTheme() {
-    const savedTheme =
-      localStorage.getItem('theme') ||
-      (window.matchMedia('(prefers-color-scheme: dark)').matches
-        ? 'dark'
-        : 'light');
-    if (savedTheme === 'light') {
-      document.body.classList.add('light-mode');
-      themeToggle.checked = true;
+    themeSelect.innerHTML = html`${Object.entries(THEMES).map(
+      ([value, label]) => html`<option value="${value}">${label}</option>`
+    )}`;
+    themeSelect.value = loadThemeChoice();
+    rankAccentToggle.checked =
+      localStorage.getItem('cfLadderRankAccent') === 'on';
+    applyTheme();
+
+    themeToggle.addEventListener('change', () =>
+      setThemeChoice(themeToggle.checked ? 'light' : 'dark')
+    );
+    themeSelect.addEventListener('change', () =>
+      setThemeChoice(themeSelect.value)
+    );
+    rankAccentToggle.addEventListener('change', () => {
+      localStorage.setItem(
+        'cfLadderRankAccent',
+        rankAccentToggle.checked ? 'on' : 'off'
+      );
+      applyTheme();
+    });
+    systemDarkQuery.addEventListener('change', () => {
+      if (loadThemeChoice() === 'system') applyTheme();
+    });
+    // Paper is white, so charts are printed in the light theme's colours
+    window.addEventListener('beforeprint', () => {
+      applyThemeClasses(document.body, 'light');
+      rethemeCharts();
+    });
+    window.addEventListener('afterprint', applyTheme);
+  }
+
+  function setThemeChoice(choice) {
+    localStorage.setItem('theme', choice);
+    themeSelect.value = choice;
+    applyTheme();
+  }
+
+  function applyTheme() {
+    const theme = resolveTheme(loadThemeChoice(), systemDarkQuery.matches);
+    applyThemeClasses(document.body, theme);
+    themeToggle.checked = theme === 'light';
+    applyRankAccent(currentUserInfo);
+  }
+
+  // The stylesheet maps data-rank-accent to an --accent-primary override
+  function applyRankAccent(userInfo) {
+    if (rankAccentToggle.checked && userInfo) {
+      document.body.dataset.rankAccent = getRankClassName(userInfo.rank);
+    } else {
+      delete document.body.dataset.rankAccent;
     }
+    rethemeCharts();
+  }
+
+  function readThemeColor(name) {
+    return getComputedStyle(document.body).getPropertyValue(name).trim();
+  }
 
-    themeToggle.addEventListener('change', () => {
-      document.body.classList.toggle('light-mode');
-      const currentTheme = document.body.classList.contains('light-mode')
-        ? 'light'
-        : 'dark';
-      localStorage.setItem('theme', currentTheme);
+  // Updates colours in place, so hidden datasets and tooltips survive
+  function rethemeCharts() {
+    themedCharts.forEach(({ chart, bindings }) => {
+      applyThemeColors(bindings, readThemeColor);
+      chart.update('none');
     });
   }
 
   // --- NAVIGATION / VIEW SWITCHING ---
+  const VIEWS = {
+    problems: { link: problemsLink, container: problemsContainer },
+    analytics: { link: analyticsLink, container: analyticsContainer },
+    review: { link: reviewLink, container: reviewContainer },
+    practice: { link: practiceLink, container: practiceContainer },
+    upsolve: { link: upsolveLink, container: upsolveContainer },
+    team: { link: teamLink, container: teamContainer },
+  };
+
   function setupNavigation() {
-    const navLinks = [problemsLink, analyticsLink];
-    const containers = [problemsContainer, analyticsContainer];
+    Object.entries(VIEWS).forEach(([view, { link }]) => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        switchView(view);
+        updateUrl();
+      });
+    });
+
+    window.addEventListener('popstate', restoreStateFromUrl);
+  }
 
-    function switchView(targetLink, targetContainer) {
-      navLinks.forEach((link) => link.classList.remove('active'));
-      containers.forEach((container) => container.classList.add('hidden'));
+  function switchView(view) {
+    if (!VIEWS[view]) view = 'problems';
+    state.view = view;
+    Object.values(VIEWS).forEach(({ link, container }) => {
+      link.classList.remove('active');
+      link.removeAttribute('aria-current');
+      container.classList.add('hidden');
+    });
+    VIEWS[view].link.classList.add('active');
+    VIEWS[view].link.setAttribute('aria-current', 'page');
+    VIEWS[view].container.classList.remove('hidden');
 
-      targetLink.classList.add('active');
-      targetContainer.classList.remove('hidden');
+    // Generate analytics if data is available
+    if (view === 'analytics' && userSubmissions.length > 0) {
+      generateAnalytics(userSubmissions);
     }
+    if (view === 'review') renderReviewView();
+    if (view === 'practice') renderPracticeView();
+    if (view === 'upsolve') renderUpsolveView();
+  }
 
-    problemsLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      switchView(problemsLink, problemsContainer);
-    });
+  // --- URL STATE (shareable deep links) ---
+  // e.g. ?handle=x&rating=1100&tags=dp,greedy&logic=AND&view=analytics
+  function buildUrlParams() {
+    const params = new URLSearchParams();
+    if (state.cfHandle) params.set('handle', state.cfHandle);
+    if (state.ladderId && ladders.length > 1) {
+      params.set('ladder', state.ladderId);
+    }
+    if (state.selectedRating) {
+      params.set(
+        'rating',
+        state.ratingMax
+          ? `${state.selectedRating}-${state.ratingMax}`
+          : state.selectedRating
+      );
+    }
+    if (state.selectedTags.size > 0) {
+      params.set('tags', [...state.selectedTags].join(','));
+    }
+    if (state.excludedTags.size > 0) {
+      params.set('exclude', [...state.excludedTags].join(','));
+    }
+    if (state.selectedMarks.size > 0) {
+      params.set('marks', [...state.selectedMarks].join(','));
+    }
+    if (state.excludedMarks.size > 0) {
+      params.set('nomarks', [...state.excludedMarks].join(','));
+    }
+    if (state.tagLogic !== 'OR') params.set('logic', state.tagLogic);
+    if (state.view !== 'problems') params.set('view', state.view);
+    if (state.analyticsScope !== 'profile') {
+      params.set('scope', state.analyticsScope);
+    }
+    if (state.searchQuery) params.set('q', state.searchQuery);
+    if (state.onlyAttempted) params.set('status', 'attempted');
+    else if (state.hideSolved) params.set('status', 'unsolved');
+    if (state.sortKey) {
+      params.set(
+        'sort',
+        `${state.sortDir === 'desc' ? '-' : ''}${state.sortKey}`
+      );
+    }
+    if (state.page > 1) params.set('page', state.page);
+    return params;
+  }
 
-    analyticsLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      switchView(analyticsLink, analyticsContainer);
-      // Generate analytics if data is available
-      if (userSubmissions.length > 0) {
-        generateAnalytics(userSubmissions);
+  // Every user-driven change becomes a history entry for back/forward
+  function updateUrl({ replace = false } = {}) {
+    // Keep tag lists readable: tags=dp,greedy rather than dp%2Cgreedy
+    const query = buildUrlParams().toString().replace(/%2C/g, ',');
+    const url = `${location.pathname}${query ? `?${query}` : ''}${
+      location.hash
+    }`;
+    if (url === `${location.pathname}${location.search}${location.hash}`) {
+      return;
+    }
+    if (replace) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
+  }
+
+  function readUrlState() {
+    const params = new URLSearchParams(location.search);
+    // rating=1100, rating=1000-1200 or rating=all
+    const [rating, ratingMax] =
+      params.get('rating') === 'all'
+        ? ['all', null]
+        : (params.get('rating') || '').split('-').map(Number);
+    const sort = params.get('sort') || '';
+    const sortKey = sort.replace(/^-/, '');
+    return {
+      handle: (params.get('handle') || '').trim(),
+      ladderId: params.get('ladder') || '',
+      rating:
+        rating === 'all' || (Number.isInteger(rating) && rating > 0)
+          ? rating
+          : null,
+      ratingMax:
+        Number.isInteger(ratingMax) && ratingMax > rating ? ratingMax : null,
+      query: (params.get('q') || '').trim(),
+      status: params.get('status') || '',
+      sortKey: SORT_KEYS.includes(sortKey) ? sortKey : null,
+      sortDir: sort.startsWith('-') ? 'desc' : 'asc',
+      page: Number(params.get('page')) || 1,
+      tags: parseTagList(params.get('tags')),
+      excludedTags: parseTagList(params.get('exclude')),
+      marks: parseTagList(params.get('marks')).filter(
+        (mark) => mark in ANNOTATION_FILTERS
+      ),
+      excludedMarks: parseTagList(params.get('nomarks')).filter(
+        (mark) => mark in ANNOTATION_FILTERS
+      ),
+      logic: params.get('logic') === 'AND' ? 'AND' : 'OR',
+      view: params.get('view') || 'problems',
+      scope: params.get('scope') === 'ladder' ? 'ladder' : 'profile',
+    };
+  }
+
+  function parseTagList(value) {
+    return (value || '')
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  function restoreStateFromUrl() {
+    const urlState = readUrlState();
+
+    state.selectedRating = urlState.rating;
+    state.ratingMax = urlState.ratingMax;
+    state.selectedTags = new Set(urlState.tags);
+    state.excludedTags = new Set(urlState.excludedTags);
+    state.selectedMarks = new Set(urlState.marks);
+    state.excludedMarks = new Set(urlState.excludedMarks);
+    state.tagLogic = urlState.logic;
+    state.analyticsScope = urlState.scope;
+    state.searchQuery = urlState.query;
+    state.hideSolved = urlState.status === 'unsolved';
+    state.onlyAttempted = urlState.status === 'attempted';
+    state.sortKey = urlState.sortKey;
+    state.sortDir = urlState.sortDir;
+    state.page = urlState.page;
+    syncFilterControls();
+    switchView(urlState.view);
+
+    if (urlState.ladderId && ladders.length > 0) {
+      if (
+        urlState.ladderId !== state.ladderId &&
+        ladders.some((l) => l.id === urlState.ladderId)
+      ) {
+        ladderSelect.value = urlState.ladderId;
+        selectLadder(urlState.ladderId);
       }
+    } else if (urlState.ladderId) {
+      state.ladderId = urlState.ladderId; // Validated once ladders.json loads
+    }
+
+    if (
+      urlState.handle &&
+      urlState.handle.toLowerCase() !== state.cfHandle.toLowerCase()
+    ) {
+      handleInput.value = urlState.handle;
+      fetchUserStatus();
+    }
+    applyFiltersAndRender();
+  }
+
+  // Reflects the filter state onto the rating/tag buttons and toggles
+  function syncFilterControls() {
+    renderRatingNav();
+    renderTags();
+    renderAnnotationFilters();
+    problemSearch.value = state.searchQuery;
+    hideSolvedToggle.checked = state.hideSolved;
+    onlyAttemptedToggle.checked = state.onlyAttempted;
+    const hasTagFilter =
+      state.selectedTags.size > 0 || state.excludedTags.size > 0;
+    if (hasTagFilter && !tagsToggle.checked) {
+      tagsToggle.checked = true;
+      tagsToggle.dispatchEvent(new Event('change'));
+    }
+    logicToggle.checked = state.tagLogic === 'AND';
+    logicLabel.textContent = `Filter Logic: ${state.tagLogic}`;
+    analyticsScope.querySelectorAll('.scope-btn').forEach((btn) => {
+      const active = btn.dataset.scope === state.analyticsScope;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active);
     });
   }
 
@@ -134,119 +567,398 @@ document.addEventListener('DOMContentLoaded', () => {
         download: typeof fileSource === 'string',
         header: true,
         skipEmptyLines: true,
-        complete: (results) => resolve(results.data),
+        transformHeader: (header) => header.trim().toLowerCase(),
+        complete: (results) => resolve(results),
         error: (error) => reject(error),
       });
     });
   }
 
-  async function fetchCsvData() {
+  async function loadLadders() {
     try {
-      const data = await readCsv('problems.csv');
-      ladderProblems = data.map((row) => row.problem_links.trim());
+      const response = await fetch('ladders.json');
+      if (!response.ok) throw new Error(response.statusText);
+      ladders = await response.json();
     } catch (error) {
-      updateStatus('Error loading ladder problems from CSV.');
+      ladders = [];
+    }
+    if (!Array.isArray(ladders) || ladders.length === 0) {
+      ladders = DEFAULT_LADDERS;
     }
+
+    // A ladder from the URL wins over the one used last time
+    const savedLadder = state.ladderId || localStorage.getItem('cfLadderId');
+    state.ladderId = ladders.some((l) => l.id === savedLadder)
+      ? savedLadder
+      : ladders[0].id;
+
+    renderLadderPicker();
+    fetchCsvData();
+    fetchProblems();
   }
 
-  async function fetchProblems() {
-    updateStatus('Loading all problems...');
+  async function selectLadder(ladderId) {
+    state.ladderId = ladderId;
+    localStorage.setItem('cfLadderId', ladderId);
+    ladderProblems = null;
+    await fetchCsvData();
+    if (catalogueComplete) saveCatalogueCache();
+  }
+
+  async function fetchCsvData() {
+    const ladder = ladders.find((l) => l.id === state.ladderId);
     try {
-      const response = await fetch(
-        'https://codeforces.com/api/problemset.problems'
+      const results = await readCsv(ladder.file);
+      if (!results.meta.fields.includes('problem_links')) {
+        throw new Error('missing "problem_links" column');
+      }
+      const parsed = parseLadderRows(results.data);
+      results.errors.forEach((err) => {
+        // Single-column files have no delimiter to detect
+        if (err.code === 'UndetectableDelimiter') return;
+        parsed.issues.push({
+          line: err.row !== undefined ? err.row + 2 : null,
+          message: err.message,
+        });
+      });
+      ladderProblems = parsed.entries;
+      csvIssues = parsed.issues;
+      buildLadderProblems();
+    } catch (error) {
+      updateStatus(
+        `Error loading ladder problems from ${ladder.file}: ${error.message}`
       );
-      const data = await response.json();
-      if (data.status !== 'OK') throw new Error(data.comment);
+    }
+  }
 
-      const combinedData = data.result.problems.map((problem, index) => ({
-        ...problem,
-        solvedCount: data.result.problemStatistics[index].solvedCount,
-      }));
+  // Stale-while-revalidate: render the cached ladder catalogue right away,
+  // then refresh it from Codeforces in the background.
+  async function fetchProblems() {
+    const hasCache = await loadCatalogueCache();
+    if (hasCache) {
+      updateStatus('Showing cached problems, syncing with Codeforces...');
+      buildLadderProblems();
+    } else {
+      updateStatus('Loading all problems...');
+    }
+    renderSyncIndicator('syncing');
 
-      allProblems = combinedData.filter((p) => p.rating !== undefined);
-      const ladderSet = new Set(ladderProblems);
-      allProblems = allProblems.filter((p) =>
-        ladderSet.has(`${p.contestId}${p.index}`)
-      );
+    try {
+      const result = await cfApi.call('problemset.problems');
+
+      catalogue = new Map();
+      result.problems.forEach((problem, index) => {
+        const record = toCatalogueRecord(
+          problem,
+          result.problemStatistics[index].solvedCount
+        );
+        catalogue.set(record.id, record);
+      });
+      catalogueComplete = true;
+      catalogueSyncedAt = Date.now();
 
       updateStatus('Problems loaded. Select a rating.');
-      applyFiltersAndRender();
+      buildLadderProblems();
+      renderSyncIndicator();
+      saveCatalogueCache();
+    } catch (error) {
+      renderSyncIndicator('offline');
+      if (hasCache) {
+        updateStatus(
+          `Codeforces is unreachable, showing problems synced ${formatTimeAgo(
+            catalogueSyncedAt
+          )}.`
+        );
+      } else {
+        updateStatus(`Error loading problems: ${error.message}`);
+      }
+    }
+  }
+
+  async function loadCatalogueCache() {
+    try {
+      const [records, meta] = await Promise.all([
+        dbGetAll('problems'),
+        dbGet('meta', 'catalogue'),
+      ]);
+      if (!meta || records.length === 0) return false;
+      catalogue = new Map(records.map((record) => [record.id, record]));
+      catalogueSyncedAt = meta.syncedAt;
+      return true;
+    } catch (error) {
+      console.warn('Could not read the problem cache:', error);
+      return false;
+    }
+  }
+
+  // Only problems of the selected ladder are kept offline
+  async function saveCatalogueCache() {
+    if (!catalogue || !ladderProblems) return;
+    const records = ladderProblems
+      .map((entry) => catalogue.get(entry.id))
+      .filter(Boolean);
+    try {
+      await dbPutAll('problems', records);
+      await dbPut('meta', { key: 'catalogue', syncedAt: catalogueSyncedAt });
     } catch (error) {
-      updateStatus(`Error loading problems: ${error.message}`);
+      console.warn('Could not update the problem cache:', error);
+    }
+  }
+
+  // Joins the CSV entries with the Codeforces catalogue once both are loaded.
+  // The personal ladder follows the curated problems in its own section.
+  function buildLadderProblems() {
+    if (!catalogue || !ladderProblems) return;
+
+    const { problems, issues } = joinLadder(ladderProblems, catalogue, {
+      catalogueComplete,
+    });
+    const personal = joinLadder(
+      getPersonalEntries(new Set(ladderProblems.map((entry) => entry.id))),
+      catalogue,
+      { catalogueComplete }
+    );
+    allProblems = [
+      ...problems,
+      ...personal.problems.map((p) => ({ ...p, personal: true })),
+    ];
+
+    renderLadderReport([...csvIssues, ...issues]);
+    renderRatingNav();
+    renderTags();
+    applyFiltersAndRender();
+    updateReviewQueue();
+    if (state.view === 'practice') renderPracticeView();
+    if (state.view === 'upsolve') renderUpsolveView();
+    if (team.members.length > 0) renderTeamView();
+    if (state.view === 'analytics') {
+      generateAnalytics(userSubmissions);
     }
+    updateBadges();
   }
 
-  // --- Find and replace this entire function in script.js ---
+  // --- USER SUBMISSIONS ---
+  function isAbortError(error) {
+    return error.name === 'AbortError';
+  }
 
   async function fetchUserStatus() {
     const handle = handleInput.value.trim();
     if (!handle) return;
 
     state.cfHandle = handle;
+    updateUrl({ replace: true });
     updateStatus(`Fetching submissions for ${handle}...`);
 
+    // Switching handles cancels whatever the previous one still had queued
+    if (userLoadController) userLoadController.abort();
+    userLoadController = new AbortController();
+    const { signal } = userLoadController;
+
     // Clear previous results
     problemStatusMap.clear();
+    problemAttemptMap.clear();
     userSubmissions = [];
-    document.getElementById('profile-info-container').innerHTML = ''; // Clear profile info
+    currentUserInfo = null;
+    ratingHistory = null;
+    reviewSchedule = null;
+    if (personalLadder.size > 0) {
+      personalLadder = new Map();
+      buildLadderProblems();
+    }
+    renderProfileInfo(null); // Clear profile info and rank accent
+
+    // Show the locally stored history right away, then fetch what is new
+    const [stored, schedule, personal] = await Promise.all([
+      loadStoredSubmissions(handle),
+      loadReviewSchedule(handle),
+      loadPersonalLadder(handle),
+    ]);
+    if (handle !== state.cfHandle || signal.aborted) return;
+    reviewSchedule = schedule;
+    if (personal.size > 0) {
+      personalLadder = personal;
+      buildLadderProblems();
+    }
+    if (stored) {
+      userSubmissions = stored.submissions;
+      applySubmissionsToStatus(userSubmissions, problemStatusMap);
+      problemAttemptMap = buildAttemptStats(userSubmissions);
+      applyFiltersAndRender();
+      updateReviewQueue();
+    }
 
     try {
-      // Fetch user status and user info concurrently
-      const [statusResponse, infoResponse] = await Promise.all([
-        fetch(`https://codeforces.com/api/user.status?handle=${handle}`),
-        fetch(`https://codeforces.com/api/user.info?handles=${handle}`),
+      // Fetch user info and new submissions concurrently
+      const [infoResult] = await Promise.all([
+        cfApi.call(
+          'user.info',
+          { handles: handle },
+          { signal, cacheTtlMs: USER_INFO_CACHE_MS }
+        ),
+        syncSubmissions(handle, stored, { signal }),
       ]);
-
-      if (!statusResponse.ok || !infoResponse.ok) {
-        throw new Error('Could not connect to Codeforces API.');
-      }
-
-      const statusData = await statusResponse.json();
-      const infoData = await infoResponse.json();
-
-      if (statusData.status !== 'OK' || infoData.status !== 'OK') {
-        // Use the more specific error message from the API if available
-        throw new Error(
-          statusData.comment ||
-            infoData.comment ||
-            'Invalid handle or API error.'
-        );
-      }
+      if (handle !== state.cfHandle) return;
 
       // Render the profile info card
-      const userInfo = infoData.result[0];
+      const userInfo = infoResult[0];
+      currentUserInfo = userInfo;
       renderProfileInfo(userInfo);
 
-      // Process submissions
-      userSubmissions = statusData.result;
-      const submissions = [...userSubmissions].reverse(); // Oldest first
-
-      submissions.forEach((sub) => {
-        const problemId = `${sub.problem.contestId}${sub.problem.index}`;
-        if (sub.verdict === 'OK') {
-          problemStatusMap.set(problemId, 'SOLVED');
-        } else if (problemStatusMap.get(problemId) !== 'SOLVED') {
-          problemStatusMap.set(problemId, 'ATTEMPTED');
-        }
-      });
-
       updateStatus(`Submissions loaded for ${handle}.`);
       showToast(`CF handle "${handle}" found! 😊`, 'success');
       saveStateToLocalStorage();
+      updateBadges();
 
-      if (analyticsLink.classList.contains('active')) {
+      if (state.view === 'analytics') {
         generateAnalytics(userSubmissions);
       }
     } catch (error) {
-      updateStatus(`Error: ${error.message}`);
+      if (handle !== state.cfHandle || isAbortError(error)) return;
       showToast(`CF error: ${error.message}`, 'error');
+      if (stored) {
+        updateStatus(
+          `Showing stored submissions for ${handle} (${error.message})`
+        );
+        return;
+      }
+      updateStatus(`Error: ${error.message}`);
       // Ensure analytics are cleared on error
       generateAnalytics([]);
     } finally {
       applyFiltersAndRender();
+      updateReviewQueue();
+      if (state.view === 'practice') renderPracticeView();
+      if (state.view === 'upsolve') renderUpsolveView();
+    }
+  }
+
+  // Manual "Sync" button and auto-refresh: fetch only the newest submissions.
+  // A call made while a sync is running gets that sync's promise.
+  function refreshSubmissions(options) {
+    if (!state.cfHandle) return Promise.resolve();
+    if (!syncPromise) {
+      syncPromise = runSync(options).finally(() => (syncPromise = null));
+    }
+    return syncPromise;
+  }
+
+  async function runSync({ silent = false } = {}) {
+    const handle = state.cfHandle;
+    syncBtn.classList.add('syncing');
+    try {
+      const stored = await loadStoredSubmissions(handle);
+      const newCount = await syncSubmissions(handle, stored);
+      if (handle !== state.cfHandle) return;
+
+      if (newCount > 0 || !silent) {
+        updateStatus(`${newCount} new submission(s) for ${handle}.`);
+      }
+      if (newCount > 0) {
+        applyFiltersAndRender();
+        updateReviewQueue();
+        updateBadges();
+        if (state.view === 'analytics') {
+          generateAnalytics(userSubmissions);
+        }
+        if (state.view === 'upsolve') renderUpsolveView();
+      }
+    } catch (error) {
+      if (!silent) showToast(`Sync failed: ${error.message}`, 'error');
+    } finally {
+      syncBtn.classList.remove('syncing');
+    }
+  }
+
+  // Downloads submissions newer than the stored history (or the full history
+  // on the first visit), merges them and updates the status map in place.
+  async function syncSubmissions(handle, stored, options) {
+    const fresh = await fetchNewSubmissions(handle, stored, options);
+    if (handle !== state.cfHandle) return 0;
+
+    const knownIds = new Set(userSubmissions.map((sub) => sub.id));
+    const newCount = fresh.filter((sub) => !knownIds.has(sub.id)).length;
+
+    userSubmissions = mergeSubmissions(userSubmissions, fresh);
+    applySubmissionsToStatus(fresh, problemStatusMap);
+    problemAttemptMap = buildAttemptStats(userSubmissions);
+    await saveStoredSubmissions(handle, userSubmissions);
+    return newCount;
+  }
+
+  // options are passed to cfApi.call, e.g. { signal }
+  async function fetchNewSubmissions(handle, stored, options) {
+    if (!stored) return cfApi.call('user.status', { handle }, options);
+
+    // Pages come newest first; stop at the first already-known submission
+    const fresh = [];
+    for (let from = 1; ; from += SUBMISSION_PAGE_SIZE) {
+      const page = await cfApi.call(
+        'user.status',
+        { handle, from, count: SUBMISSION_PAGE_SIZE },
+        options
+      );
+      const newer = page.filter((sub) => sub.id > stored.syncedThroughId);
+      fresh.push(...newer);
+      if (newer.length < page.length || page.length < SUBMISSION_PAGE_SIZE) {
+        return fresh;
+      }
+    }
+  }
+
+  async function loadStoredSubmissions(handle) {
+    try {
+      return (await dbGet('submissions', handle.toLowerCase())) || null;
+    } catch (error) {
+      console.warn('Could not read stored submissions:', error);
+      return null;
+    }
+  }
+
+  // Submissions still being judged are not persisted, and the sync cursor
+  // stays below them so the next sync fetches their final verdict.
+  async function saveStoredSubmissions(handle, submissions) {
+    const pendingIds = submissions
+      .filter(isPendingVerdict)
+      .map((sub) => sub.id);
+    const syncedThroughId = pendingIds.length
+      ? Math.min(...pendingIds) - 1
+      : submissions.length
+      ? submissions[0].id
+      : 0;
+
+    try {
+      await dbPut('submissions', {
+        handle: handle.toLowerCase(),
+        submissions: submissions.filter((sub) => sub.id <= syncedThroughId),
+        syncedThroughId,
+        syncedAt: Date.now(),
+      });
+    } catch (error) {
+      console.warn('Could not store submissions:', error);
     }
   }
 
+  function setupAutoRefresh() {
+    const savedInterval = localStorage.getItem('cfLadderAutoRefresh') || '0';
+    autoRefreshSelect.value = savedInterval;
+    scheduleAutoRefresh(Number(savedInterval));
+
+    autoRefreshSelect.addEventListener('change', () => {
+      localStorage.setItem('cfLadderAutoRefresh', autoRefreshSelect.value);
+      scheduleAutoRefresh(Number(autoRefreshSelect.value));
+    });
+  }
+
+  function scheduleAutoRefresh(minutes) {
+    clearInterval(autoRefreshTimer);
+    autoRefreshTimer = null;
+    if (!minutes) return;
+    autoRefreshTimer = setInterval(() => {
+      if (!document.hidden) refreshSubmissions({ silent: true });
+    }, minutes * 6e4);
+  }
+
   // --- Add these two new functions anywhere in script.js ---
 
   function getRankClassName(rank) {
@@ -256,6 +968,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function renderProfileInfo(userInfo) {
     const container = document.getElementById('profile-info-container');
+    applyRankAccent(userInfo);
     if (!userInfo) {
       container.innerHTML = '';
       return;
@@ -265,351 +978,3912 @@ document.addEventListener('DOMContentLoaded', () => {
 
     console.log(rankClassName);
 
-    container.innerHTML = `
-        <div class="stat-block">
-            <span class="stat-label">Handle</span>
-            <span class="stat-value handle ${rankClassName}">${
-      userInfo.handle
-    }</span>
-        </div>
-        <div class="stat-block">
-            <span class="stat-label">Rank</span>
-            <span class="stat-value ${rankClassName}">${
-      userInfo.rank || 'N/A'
-    }</span>
-        </div>
-        <div class="stat-block">
-            <span class="stat-label">Current Rating</span>
-            <span class="stat-value">${userInfo.rating || 'N/A'}</span>
-        </div>
-        <div class="stat-block">
-            <span class="stat-label">Max Rating</span>
-            <span class="stat-value">${userInfo.maxRating || 'N/A'}</span>
-        </div>
+    container.innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Handle</span>
+        <span class="stat-value handle ${rankClassName}"
+          >${userInfo.handle}</span
+        >
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Rank</span>
+        <span class="stat-value ${rankClassName}"
+          >${userInfo.rank || 'N/A'}</span
+        >
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Current Rating</span>
+        <span class="stat-value">${userInfo.rating || 'N/A'}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Max Rating</span>
+        <span class="stat-value">${userInfo.maxRating || 'N/A'}</span>
+      </div>
+      <ul class="badge-list" aria-label="Badges">
+        ${renderBadges(userInfo.handle)}
+      </ul>
     `;
   }
 
   // --- UI RENDERING & FILTERING ---
+  function renderLadderPicker() {
+    ladderSelect.innerHTML = html`${ladders.map(
+      (l) => html`<option value="${l.id}">${l.name}</option>`
+    )}`;
+    ladderSelect.value = state.ladderId;
+    ladderSelect.classList.toggle('hidden', ladders.length < 2);
+  }
+
+  function renderSyncIndicator(mode) {
+    syncIndicatorMode = mode;
+    if (mode === 'syncing') {
+      syncIndicator.innerHTML =
+        '<i class="fa-solid fa-rotate fa-spin"></i> Syncing...';
+    } else if (catalogueSyncedAt) {
+      const icon = mode === 'offline' ? 'fa-plug-circle-xmark' : 'fa-check';
+      syncIndicator.innerHTML = html`<i class="fa-solid ${icon}"></i> Last
+        synced ${formatTimeAgo(catalogueSyncedAt)}`;
+    } else {
+      syncIndicator.innerHTML = '';
+    }
+    syncIndicator.classList.toggle('offline', mode === 'offline');
+    syncIndicator.title = catalogueSyncedAt
+      ? new Date(catalogueSyncedAt).toLocaleString()
+      : '';
+  }
+
+  function renderLadderReport(issues) {
+    if (issues.length === 0) {
+      ladderReport.innerHTML = '';
+      ladderReport.classList.add('hidden');
+      return;
+    }
+
+    const ladder = ladders.find((l) => l.id === state.ladderId);
+    issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+    ladderReport.innerHTML = html`
+      <summary>
+        ${issues.length} row(s) in ${ladder.file} need attention
+      </summary>
+      <ul>
+        ${issues.map(
+          (issue) =>
+            html`<li>
+              <span class="report-line">Line ${issue.line || '?'}</span>
+              ${issue.message}
+            </li>`
+        )}
+      </ul>
+    `;
+    ladderReport.classList.remove('hidden');
+  }
+
+  function getLadderRatings() {
+    return getRatings(allProblems);
+  }
+
+  // The curated ladder without the personal upsolve problems, for progress
+  // statistics, goals and badges
+  function getCuratedProblems() {
+    return allProblems.filter((p) => !p.personal);
+  }
+
+  // Tags present in the ladder, most common first
+  function getLadderTags() {
+    return getTagsByFrequency(allProblems);
+  }
+
+  // Buttons come from the loaded ladder, so new buckets need no code change
   function renderRatingNav() {
-    const ratings = [800, 900, 1000, 1100, 1200, 1300, 1400];
-    ratingNav.innerHTML = ratings
-      .map((r) => `<button class="rating-btn" data-rating="${r}">${r}</button>`)
-      .join('');
+    const counts = {};
+    allProblems.forEach(
+      (p) => (counts[p.rating] = (counts[p.rating] || 0) + 1)
+    );
+    const isSingle = typeof state.selectedRating === 'number';
+    const max = state.ratingMax || state.selectedRating;
+
+    const buttons = getLadderRatings().map((r) => {
+      let stateClass = '';
+      if (isSingle && (r === state.selectedRating || r === max)) {
+        stateClass = 'active';
+      } else if (isSingle && r > state.selectedRating && r < max) {
+        stateClass = 'in-range';
+      }
+      return html`<button
+        class="rating-btn ${stateClass}"
+        data-rating="${r}"
+        aria-pressed="${Boolean(stateClass)}"
+        title="Shift+click to select a range"
+      >
+        ${r} <span class="count">(${counts[r]})</span>
+      </button>`;
+    });
+    ratingNav.innerHTML = html`${buttons}<button
+        class="rating-btn ${state.selectedRating === 'all' ? 'active' : ''}"
+        data-rating="all"
+        aria-pressed="${state.selectedRating === 'all'}"
+      >
+        All <span class="count">(${allProblems.length})</span>
+      </button>`;
   }
 
+  // Counts follow the rating selection; chips cycle include -> exclude -> off
   function renderTags() {
-    tagsContainer.innerHTML = TAGS.map(
-      (tag) => `<button class="tag-btn" data-tag="${tag}">${tag}</button>`
-    ).join('');
+    const counts = countByTag(
+      allProblems.filter((p) =>
+        matchesRating(p, state.selectedRating, state.ratingMax)
+      )
+    );
+    const tags = getLadderTags();
+    [...state.selectedTags, ...state.excludedTags].forEach((tag) => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+
+    tagsContainer.innerHTML = html`${tags.map((tag) => {
+      const excluded = state.excludedTags.has(tag);
+      const stateClass = excluded
+        ? 'excluded'
+        : state.selectedTags.has(tag)
+        ? 'active'
+        : '';
+      return html`<button
+        class="tag-btn ${stateClass}"
+        data-tag="${tag}"
+        aria-pressed="${state.selectedTags.has(tag)}"
+        title="Click to include, click again to exclude"
+      >
+        ${excluded ? 'NOT ' : ''}${tag}
+        <span class="count">(${counts[tag] || 0})</span>
+      </button>`;
+    })}`;
   }
 
   function applyFiltersAndRender() {
-    if (allProblems.length === 0) return;
+    if (!catalogue || !ladderProblems) return;
 
-    let filtered = [...allProblems];
+    if (state.recommendMode) {
+      renderRecommendations();
+      return;
+    }
 
-    if (state.selectedRating) {
-      filtered = filtered.filter((p) => p.rating === state.selectedRating);
-    } else {
+    const filtered = getFilteredProblems();
+    problemTable.classList.toggle(
+      'show-all-ratings',
+      state.selectedRating === 'all' || !state.selectedRating
+    );
+    renderSortIndicators();
+    if (!filtered) {
       renderProblemTable([]);
+      renderPagination(0);
       return;
     }
 
-    if (state.selectedTags.size > 0) {
-      filtered = filtered.filter((p) => {
-        const problemTags = new Set(p.tags);
-        if (state.tagLogic === 'OR') {
-          return [...state.selectedTags].some((tag) => problemTags.has(tag));
-        }
-        return [...state.selectedTags].every((tag) => problemTags.has(tag));
-      });
+    const sorted = sortProblems(
+      filtered,
+      state.sortKey,
+      state.sortDir,
+      problemStatusMap
+    );
+    const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE));
+    state.page = Math.min(Math.max(state.page, 1), pageCount);
+    const offset = (state.page - 1) * PAGE_SIZE;
+    renderProblemTable(sorted.slice(offset, offset + PAGE_SIZE), offset);
+    renderPagination(sorted.length, pageCount);
+  }
+
+  // Returns null until a rating (or "All") is picked or a search is typed
+  function getFilteredProblems() {
+    if (
+      !state.selectedRating &&
+      !state.searchQuery &&
+      state.selectedMarks.size === 0
+    ) {
+      return null;
+    }
+
+    const filtered = filterProblems(
+      allProblems,
+      {
+        rating: state.selectedRating,
+        ratingMax: state.ratingMax,
+        tags: state.selectedTags,
+        excludedTags: state.excludedTags,
+        tagLogic: state.tagLogic,
+        query: state.searchQuery,
+        onlyAttempted: state.onlyAttempted,
+        hideSolved: state.hideSolved,
+      },
+      problemStatusMap
+    );
+    if (state.selectedMarks.size === 0 && state.excludedMarks.size === 0) {
+      return filtered;
     }
-    renderProblemTable(filtered);
+    return filtered.filter(matchesAnnotationFilters);
   }
 
-  function renderProblemTable(problems) {
+  function renderSortIndicators() {
+    problemTable.querySelectorAll('th[data-sort]').forEach((th) => {
+      const active = th.dataset.sort === state.sortKey;
+      th.classList.toggle('sorted', active);
+      th.dataset.arrow = active ? (state.sortDir === 'asc' ? '▲' : '▼') : '';
+      th.setAttribute(
+        'aria-sort',
+        active ? (state.sortDir === 'asc' ? 'ascending' : 'descending') : 'none'
+      );
+    });
+  }
+
+  function renderPagination(total, pageCount = 1) {
+    if (total <= PAGE_SIZE) {
+      pagination.innerHTML = total
+        ? html`<span>${total} problem(s)</span>`
+        : '';
+      return;
+    }
+    pagination.innerHTML = html`
+      <button
+        class="secondary-btn"
+        data-page="${state.page - 1}"
+        ${state.page === 1 ? 'disabled' : ''}
+      >
+        &laquo; Prev
+      </button>
+      <span>Page ${state.page} of ${pageCount} · ${total} problems</span>
+      <button
+        class="secondary-btn"
+        data-page="${state.page + 1}"
+        ${state.page === pageCount ? 'disabled' : ''}
+      >
+        Next &raquo;
+      </button>
+    `;
+  }
+
+  // Groups rows under their curated section, keeping first-appearance order
+  function groupBySection(problems) {
+    const groups = new Map();
+    problems.forEach((p) => {
+      if (!groups.has(p.section)) groups.set(p.section, []);
+      groups.get(p.section).push(p);
+    });
+    return [...groups.entries()];
+  }
+
+  function renderProblemTable(problems, offset = 0) {
     if (!tableBody) return;
     if (problems.length === 0) {
       tableBody.innerHTML =
-        '<tr><td colspan="4" class="placeholder">No problems match your criteria.</td></tr>';
+        '<tr><td colspan="9" class="placeholder">No problems match your criteria.</td></tr>';
       return;
     }
 
-    const rowsHtml = problems
-      .map((p, index) => {
-        const problemId = `${p.contestId}${p.index}`;
-        const status = problemStatusMap.get(problemId);
-        let statusClass = 'status-unsolved';
-        let statusText = '-';
+    // Sections only make sense in the curated order
+    const groups = state.sortKey ? [['', problems]] : groupBySection(problems);
 
-        if (status === 'SOLVED') {
-          statusClass = 'status-solved';
-          statusText = '✔ Solved';
-        } else if (status === 'ATTEMPTED') {
-          statusClass = 'status-attempted';
-          statusText = '👍Tried';
-        }
-
-        const link = `https://codeforces.com/problemset/problem/${p.contestId}/${p.index}`;
-        return `
-            <tr>
-                <td>${index + 1}</td>
-                <td><a href="${link}" target="_blank" class="problem-link">${
-          p.name
-        }</a></td>
-                <td>${p.solvedCount || 0}</td>
-                <td class="${statusClass}">${statusText}</td>
-            </tr>
-        `;
-      })
-      .join('');
-    tableBody.innerHTML = rowsHtml;
+    let rowNumber = offset;
+    tableBody.innerHTML = html`${groups.map(
+      ([section, sectionProblems]) =>
+        html`${section
+          ? html`<tr class="section-row">
+              <td colspan="9">${section}</td>
+            </tr>`
+          : ''}${sectionProblems.map((p) => renderProblemRow(p, ++rowNumber))}`
+    )}`;
   }
 
-  // --- ANALYTICS ---
-  function generateAnalytics(submissions) {
-    const solvedProblems = new Map();
-    submissions.forEach((sub) => {
-      if (sub.verdict === 'OK') {
-        const problemId = `${sub.problem.contestId}${sub.problem.index}`;
-        if (!solvedProblems.has(problemId)) {
-          solvedProblems.set(problemId, sub.problem);
-        }
-      }
-    });
+  function renderProblemRow(p, rowNumber) {
+    const problemId = `${p.contestId}${p.index}`;
+    const status = problemStatusMap.get(problemId);
+    // Icons are decorative; the words are what screen readers announce
+    let statusClass = 'status-unsolved';
+    let statusHtml = html`<span aria-hidden="true">-</span
+      ><span class="sr-only">Not attempted</span>`;
 
-    if (solvedProblems.size === 0) {
-      analyticsMessage.textContent =
-        'No problems solved yet. Solve some problems to see your stats!';
-      analyticsMessage.classList.remove('hidden');
-      document.querySelector('.charts-grid').classList.add('hidden');
-      return;
+    if (status === 'SOLVED') {
+      statusClass = 'status-solved';
+      statusHtml = html`<span aria-hidden="true">✔</span> Solved`;
+    } else if (status === 'ATTEMPTED') {
+      statusClass = 'status-attempted';
+      statusHtml = html`<span aria-hidden="true">👍</span>Tried`;
     }
 
-    analyticsMessage.classList.add('hidden');
-    document.querySelector('.charts-grid').classList.remove('hidden');
+    const link = getContestProblemUrl(p);
+    const noteHtml = p.note
+      ? html`<div class="curator-note">
+          <i class="fa-solid fa-note-sticky"></i> ${p.note}
+        </div>`
+      : '';
+    return html`
+      <tr data-problem-id="${problemId}" tabindex="-1">
+        <td>${rowNumber}</td>
+        <td class="problem-id">${problemId}</td>
+        <td>
+          <a href="${link}" target="_blank" class="problem-link">${p.name}</a
+          >${noteHtml}
+        </td>
+        <td class="all-ratings-col">${p.rating}</td>
+        <td class="all-ratings-col">
+          ${p.tags.map((tag) => html`<span class="tag-chip">${tag}</span>`)}
+        </td>
+        <td>${p.solvedCount || 0}</td>
+        <td class="${statusClass}">${statusHtml}</td>
+        ${renderAnnotationCell(problemId)}
+        ${renderAttemptsCell(problemAttemptMap.get(problemId))}
+      </tr>
+    `;
+  }
 
-    // 1. Tag Analysis
-    const tagCounts = {};
-    solvedProblems.forEach((problem) => {
-      problem.tags.forEach((tag) => {
-        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-      });
+  function renderAttemptsCell(stats) {
+    if (!stats) return html`<td class="attempts-col status-unsolved">-</td>`;
+    const verdict = VERDICTS[stats.lastVerdict] || {
+      short: stats.lastVerdict,
+      label: stats.lastVerdict,
+    };
+    const title = `Last: ${verdict.label} on test ${
+      stats.lastPassedTests + 1
+    } (${stats.lastLanguage})`;
+    return html`<td class="attempts-col" title="${title}">
+      ${stats.attempts} ·
+      <span class="verdict verdict-${verdict.short}">${verdict.short}</span>
+    </td>`;
+  }
+
+  // --- PROBLEM ANNOTATIONS ---
+  const ANNOTATION_MARKS = {
+    editorial: { label: 'Read editorial', icon: 'fa-book-open' },
+    skip: { label: 'Skip for now', icon: 'fa-forward' },
+  };
+  const ANNOTATION_FILTERS = {
+    starred: { label: 'Starred', test: (a) => a.starred },
+    editorial: { label: 'Read editorial', test: (a) => a.mark === 'editorial' },
+    skip: { label: 'Skip for now', test: (a) => a.mark === 'skip' },
+    note: { label: 'Has note', test: (a) => Boolean(a.note) },
+  };
+  const MAX_NOTE_LENGTH = 1000;
+
+  function setupAnnotations() {
+    tableBody.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-annotation-action]');
+      if (!button) return;
+      const problemId = button.closest('tr').dataset.problemId;
+      if (button.dataset.annotationAction === 'star') {
+        const annotation = annotations.get(problemId);
+        saveAnnotation(problemId, {
+          starred: !(annotation && annotation.starred),
+        });
+        const row = findProblemRow(problemId);
+        if (row) row.querySelector('.star-btn').focus();
+      } else {
+        openAnnotationEditor(problemId);
+      }
+    });
+
+    annotationFilters.addEventListener('click', (e) => {
+      const button = e.target.closest('.mark-filter-btn');
+      if (!button) return;
+      if (button.dataset.action === 'export') {
+        exportAnnotations();
+        return;
+      }
+      if (button.dataset.action === 'import') {
+        annotationImportInput.click();
+        return;
+      }
+      // Same include -> exclude -> off cycle as the tag chips
+      const mark = button.dataset.mark;
+      if (state.selectedMarks.has(mark)) {
+        state.selectedMarks.delete(mark);
+        state.excludedMarks.add(mark);
+      } else if (state.excludedMarks.has(mark)) {
+        state.excludedMarks.delete(mark);
+      } else {
+        state.selectedMarks.add(mark);
+      }
+      state.page = 1;
+      renderAnnotationFilters();
+      refocusButton(annotationFilters, 'mark', mark);
+      applyFiltersAndRender();
+      updateUrl();
+    });
+
+    annotationImportInput.addEventListener('change', () => {
+      const file = annotationImportInput.files[0];
+      if (file) importAnnotations(file);
+      annotationImportInput.value = '';
+    });
+
+    annotationForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const problemId = annotationForm.dataset.problemId;
+      saveAnnotation(problemId, {
+        starred: annotationForm.elements.starred.checked,
+        mark: annotationForm.elements.mark.value,
+        note: annotationForm.elements.note.value.trim(),
+      });
+      closeModal(annotationModal);
+    });
+    annotationForm.addEventListener('reset', (e) => {
+      e.preventDefault();
+      saveAnnotation(annotationForm.dataset.problemId, {
+        starred: false,
+        mark: '',
+        note: '',
+      });
+      closeModal(annotationModal);
+    });
+    annotationModal.addEventListener('click', (e) => {
+      if (e.target === annotationModal || e.target.closest('.modal-close-btn'))
+        closeModal(annotationModal);
+    });
+
+    loadAnnotations();
+  }
+
+  async function loadAnnotations() {
+    try {
+      const records = await dbGetAll('annotations');
+      annotations = new Map(records.map((record) => [record.id, record]));
+    } catch (error) {
+      console.warn('Could not load annotations:', error);
+      return;
+    }
+    renderAnnotationFilters();
+    applyFiltersAndRender();
+  }
+
+  function isEmptyAnnotation(annotation) {
+    return !annotation.starred && !annotation.mark && !annotation.note;
+  }
+
+  // Empty annotations are deleted rather than stored as blank records
+  async function saveAnnotation(problemId, changes) {
+    const annotation = {
+      id: problemId,
+      starred: false,
+      mark: '',
+      note: '',
+      ...annotations.get(problemId),
+      ...changes,
+      updatedAt: Date.now(),
+    };
+    if (isEmptyAnnotation(annotation)) annotations.delete(problemId);
+    else annotations.set(problemId, annotation);
+    renderAnnotationFilters();
+    applyFiltersAndRender();
+
+    try {
+      if (isEmptyAnnotation(annotation))
+        await dbDelete('annotations', problemId);
+      else await dbPut('annotations', annotation);
+    } catch (error) {
+      console.warn('Could not save annotation:', error);
+      showToast('Could not save your note in this browser.', 'error');
+    }
+  }
+
+  function matchesAnnotationFilters(p) {
+    const annotation = annotations.get(`${p.contestId}${p.index}`) || {};
+    return (
+      [...state.selectedMarks].every((mark) =>
+        ANNOTATION_FILTERS[mark].test(annotation)
+      ) &&
+      ![...state.excludedMarks].some((mark) =>
+        ANNOTATION_FILTERS[mark].test(annotation)
+      )
+    );
+  }
+
+  function renderAnnotationFilters() {
+    const counts = {};
+    annotations.forEach((annotation) => {
+      Object.entries(ANNOTATION_FILTERS).forEach(([mark, { test }]) => {
+        if (test(annotation)) counts[mark] = (counts[mark] || 0) + 1;
+      });
+    });
+
+    annotationFilters.innerHTML = html`${Object.entries(ANNOTATION_FILTERS).map(
+        ([mark, { label }]) => {
+          const excluded = state.excludedMarks.has(mark);
+          const stateClass = excluded
+            ? 'excluded'
+            : state.selectedMarks.has(mark)
+            ? 'active'
+            : '';
+          return html`<button
+            class="tag-btn mark-filter-btn ${stateClass}"
+            data-mark="${mark}"
+            aria-pressed="${state.selectedMarks.has(mark)}"
+            title="Click to include, click again to exclude"
+          >
+            ${excluded ? 'NOT ' : ''}${label}
+            <span class="count">(${counts[mark] || 0})</span>
+          </button>`;
+        }
+      )}<button
+        class="mark-filter-btn secondary-btn"
+        data-action="export"
+        title="Download your notes as JSON"
+      >
+        <i class="fa-solid fa-download"></i> Export
+      </button>
+      <button
+        class="mark-filter-btn secondary-btn"
+        data-action="import"
+        title="Load notes from a JSON export"
+      >
+        <i class="fa-solid fa-upload"></i> Import
+      </button>`;
+  }
+
+  function renderAnnotationCell(problemId) {
+    const annotation = annotations.get(problemId) || {};
+    const mark = ANNOTATION_MARKS[annotation.mark];
+    const markHtml = mark
+      ? html`<span class="annotation-mark mark-${annotation.mark}"
+          ><i class="fa-solid ${mark.icon}"></i> ${mark.label}</span
+        >`
+      : '';
+    const noteHtml = annotation.note
+      ? html`<div class="annotation-note">${annotation.note}</div>`
+      : '';
+    return html`<td class="annotation-cell">
+      <button
+        class="annotation-btn star-btn ${annotation.starred ? 'starred' : ''}"
+        data-annotation-action="star"
+        aria-pressed="${Boolean(annotation.starred)}"
+        title="${annotation.starred ? 'Unstar' : 'Star to revisit'}"
+      >
+        <i class="fa-${annotation.starred ? 'solid' : 'regular'} fa-star"></i>
+      </button>
+      <button
+        class="annotation-btn"
+        data-annotation-action="edit"
+        title="Edit note"
+      >
+        <i class="fa-solid fa-pen"></i>
+      </button>
+      ${markHtml}${noteHtml}
+    </td>`;
+  }
+
+  function openAnnotationEditor(problemId) {
+    const annotation = annotations.get(problemId) || {};
+    annotationForm.dataset.problemId = problemId;
+    document.getElementById('annotation-problem-id').textContent = problemId;
+    annotationForm.elements.starred.checked = Boolean(annotation.starred);
+    annotationForm.elements.mark.value = annotation.mark || '';
+    annotationForm.elements.note.value = annotation.note || '';
+    openModal(annotationModal, annotationForm.elements.note);
+  }
+
+  function exportAnnotations() {
+    const payload = {
+      app: 'iiuccps-ladder',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      annotations: [...annotations.values()],
+    };
+    downloadFile(
+      `ladder-notes-${toDayKey(new Date())}.json`,
+      JSON.stringify(payload, null, 2),
+      'application/json'
+    );
+  }
+
+  // Merges an export into the local notes; the newer edit of a problem wins
+  async function importAnnotations(file) {
+    let records;
+    try {
+      const payload = JSON.parse(await file.text());
+      records = Array.isArray(payload) ? payload : payload.annotations;
+      if (!Array.isArray(records)) throw new Error('No annotations found');
+    } catch (error) {
+      showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+      return;
+    }
+
+    const imported = records
+      .filter(
+        (record) =>
+          record &&
+          PROBLEM_ID_PATTERN.test(record.id) &&
+          !(
+            annotations.has(record.id) &&
+            annotations.get(record.id).updatedAt >= record.updatedAt
+          )
+      )
+      .map((record) => ({
+        id: record.id,
+        starred: record.starred === true,
+        mark: Object.hasOwn(ANNOTATION_MARKS, record.mark) ? record.mark : '',
+        note:
+          typeof record.note === 'string'
+            ? record.note.trim().slice(0, MAX_NOTE_LENGTH)
+            : '',
+        updatedAt: Number(record.updatedAt) || Date.now(),
+      }))
+      .filter((record) => !isEmptyAnnotation(record));
+
+    imported.forEach((record) => annotations.set(record.id, record));
+    renderAnnotationFilters();
+    applyFiltersAndRender();
+    try {
+      await dbPutAll('annotations', imported);
+    } catch (error) {
+      console.warn('Could not save imported annotations:', error);
+    }
+    showToast(
+      `Imported ${imported.length} note${imported.length === 1 ? '' : 's'}.`
+    );
+  }
+
+  // --- RECOMMENDATIONS ---
+  const RECOMMENDATION_COUNT = 5;
+  const WEAK_TAG_COUNT = 3;
+  const SNOOZE_DAYS = 3;
+
+  function loadRecommendPrefs() {
+    let prefs = {};
+    try {
+      prefs = JSON.parse(localStorage.getItem('cfLadderRecommendPrefs')) || {};
+    } catch (error) {
+      prefs = {};
+    }
+    return { skipped: prefs.skipped || {}, snoozed: prefs.snoozed || {} };
+  }
+
+  // Ladder tags the user has solved the fewest problems of
+  function getWeakTags() {
+    const tagCounts = countByTag(getSolvedProblems(userSubmissions));
+    return getLadderTags()
+      .sort((a, b) => (tagCounts[a] || 0) - (tagCounts[b] || 0))
+      .slice(0, WEAK_TAG_COUNT);
+  }
+
+  // Ranks unsolved ladder problems slightly above the user's rating,
+  // preferring weak tags, then curated order and popularity.
+  function getRecommendations() {
+    const prefs = loadRecommendPrefs();
+    const now = Date.now();
+    const weakTags = getWeakTags();
+    const ratings = allProblems.map((p) => p.rating);
+    const baseRating = Math.min(
+      Math.max(
+        Math.floor((currentUserInfo.rating || 0) / 100) * 100,
+        Math.min(...ratings)
+      ),
+      Math.max(...ratings)
+    );
+
+    return allProblems
+      .map((p, order) => ({ p, order, id: `${p.contestId}${p.index}` }))
+      .filter(({ id, p }) => {
+        if (problemStatusMap.get(id) === 'SOLVED') return false;
+        if (prefs.skipped[id] || prefs.snoozed[id] > now) return false;
+        return p.rating >= baseRating - 100 && p.rating <= baseRating + 300;
+      })
+      .map((candidate) => {
+        const { p, id } = candidate;
+        const delta = p.rating - baseRating;
+        const weakTag = p.tags.find((tag) => weakTags.includes(tag));
+        const attempted = problemStatusMap.get(id) === 'ATTEMPTED';
+
+        const reasons = [];
+        if (weakTag) reasons.push(`weak tag: ${weakTag}`);
+        reasons.push(`rating ${delta >= 0 ? '+' : ''}${delta}`);
+        if (attempted) reasons.push('tried before');
+
+        // Sweet spot is +100 over the current rating
+        const score =
+          Math.abs(delta - 100) / 100 -
+          (weakTag ? 1 : 0) -
+          (attempted ? 0.5 : 0);
+        return { ...candidate, score, reason: reasons.join(', ') };
+      })
+      .sort(
+        (a, b) =>
+          a.score - b.score ||
+          a.order - b.order ||
+          (b.p.solvedCount || 0) - (a.p.solvedCount || 0)
+      )
+      .slice(0, RECOMMENDATION_COUNT);
+  }
+
+  function renderRecommendations() {
+    if (!currentUserInfo) {
+      recommendPanel.innerHTML =
+        '<p class="placeholder">Enter your CF handle to get recommendations.</p>';
+      return;
+    }
+
+    const prefs = loadRecommendPrefs();
+    const hiddenCount =
+      Object.keys(prefs.skipped).length +
+      Object.values(prefs.snoozed).filter((until) => until > Date.now()).length;
+    const resetHtml = hiddenCount
+      ? html`<button class="secondary-btn" data-action="reset">
+          Show ${hiddenCount} skipped/snoozed again
+        </button>`
+      : '';
+
+    const recommendations = getRecommendations();
+    if (recommendations.length === 0) {
+      recommendPanel.innerHTML = html`<p class="placeholder">
+          Nothing left to recommend around your rating. Great job!
+        </p>
+        ${resetHtml}`;
+      return;
+    }
+
+    recommendPanel.innerHTML = html`
+      <p class="recommend-intro">
+        Based on your rating of ${currentUserInfo.rating || 'unrated'} and your
+        weakest tags.
+      </p>
+      <ul class="recommend-list">
+        ${recommendations.map(
+          ({ p, id, reason }) => html` <li class="recommend-card">
+            <div class="recommend-info">
+              <a
+                href="${getContestProblemUrl(p)}"
+                target="_blank"
+                class="problem-link"
+                >${p.name}</a
+              >
+              <span class="recommend-meta"
+                >${p.rating} · ${p.tags.join(', ')}</span
+              >
+              <span class="recommend-reason">${reason}</span>
+            </div>
+            <div class="recommend-actions">
+              <button
+                class="secondary-btn"
+                data-action="snooze"
+                data-problem="${id}"
+                title="Hide for ${SNOOZE_DAYS} days"
+              >
+                Snooze
+              </button>
+              <button
+                class="secondary-btn"
+                data-action="skip"
+                data-problem="${id}"
+                title="Never suggest again"
+              >
+                Skip
+              </button>
+            </div>
+          </li>`
+        )}
+      </ul>
+      ${resetHtml}
+    `;
+  }
+
+  // --- TEAM PROGRESS ---
+  function setupTeamView() {
+    renderTeamGroups();
+
+    teamLoadBtn.addEventListener('click', loadTeam);
+
+    teamGroupSelect.addEventListener('change', () => {
+      const groups = loadTeamGroups();
+      const handles = groups[teamGroupSelect.value];
+      if (!handles) return;
+      teamGroupName.value = teamGroupSelect.value;
+      teamHandlesInput.value = handles.join('\n');
+      loadTeam();
+    });
+
+    document
+      .getElementById('team-save-group-btn')
+      .addEventListener('click', () => {
+        const name = teamGroupName.value.trim();
+        const handles = parseHandleList(teamHandlesInput.value);
+        if (!name || handles.length === 0) {
+          showToast('Enter a group name and at least one handle.', 'error');
+          return;
+        }
+        const groups = loadTeamGroups();
+        groups[name] = handles;
+        localStorage.setItem('cfLadderGroups', JSON.stringify(groups));
+        renderTeamGroups(name);
+        showToast(`Group "${name}" saved.`, 'success');
+      });
+
+    document
+      .getElementById('team-delete-group-btn')
+      .addEventListener('click', () => {
+        const name = teamGroupSelect.value;
+        if (!name) return;
+        const groups = loadTeamGroups();
+        delete groups[name];
+        localStorage.setItem('cfLadderGroups', JSON.stringify(groups));
+        teamGroupName.value = '';
+        renderTeamGroups();
+      });
+
+    teamRatingSelect.addEventListener('change', renderTeamMatrix);
+
+    teamLeaderboard.addEventListener('click', (e) => {
+      const header = e.target.closest('th[data-sort]');
+      if (!header) return;
+      const key = header.dataset.sort;
+      if (team.sortKey === key) {
+        team.sortDir = team.sortDir === 'desc' ? 'asc' : 'desc';
+      } else {
+        team.sortKey = key;
+        team.sortDir = key === 'handle' ? 'asc' : 'desc';
+      }
+      renderTeamLeaderboard();
+      teamLeaderboard.querySelector(`th[data-sort="${key}"]`).focus();
+    });
+  }
+
+  function loadTeamGroups() {
+    try {
+      return JSON.parse(localStorage.getItem('cfLadderGroups')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function renderTeamGroups(selected = '') {
+    const names = Object.keys(loadTeamGroups()).sort();
+    teamGroupSelect.innerHTML = html`<option value="">Saved groups</option>
+      ${names.map((name) => html`<option value="${name}">${name}</option>`)}`;
+    teamGroupSelect.value = selected;
+  }
+
+  // Accepts handles separated by commas, semicolons, spaces or new lines
+  function parseHandleList(text) {
+    const seen = new Set();
+    return text
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .filter((handle) => {
+        const key = handle.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  async function loadTeam() {
+    const handles = parseHandleList(teamHandlesInput.value);
+    if (handles.length === 0) {
+      teamMessage.textContent = 'Enter at least one Codeforces handle.';
+      return;
+    }
+
+    const loadId = ++team.loadId;
+    if (team.controller) team.controller.abort();
+    team.controller = new AbortController();
+    const { signal } = team.controller;
+    team.members = [];
+    teamLoadBtn.disabled = true;
+    teamMessage.textContent = `Fetching profiles for ${handles.length} handle(s)...`;
+
+    try {
+      // One batched call for every profile
+      const infos = await cfApi.call(
+        'user.info',
+        { handles: handles.join(';') },
+        { signal, cacheTtlMs: USER_INFO_CACHE_MS }
+      );
+
+      for (const [i, info] of infos.entries()) {
+        if (loadId !== team.loadId) return;
+        teamMessage.textContent = `Fetching submissions ${i + 1}/${
+          infos.length
+        }: ${info.handle}...`;
+
+        const stored = await loadStoredSubmissions(info.handle);
+        const fresh = await fetchNewSubmissions(info.handle, stored, {
+          signal,
+        });
+        const submissions = mergeSubmissions(
+          stored ? stored.submissions : [],
+          fresh
+        );
+        await saveStoredSubmissions(info.handle, submissions);
+
+        team.members.push({
+          handle: info.handle,
+          info,
+          statusMap: applySubmissionsToStatus(submissions),
+        });
+        renderTeamView();
+      }
+      teamMessage.textContent = `Loaded ${team.members.length} member(s).`;
+    } catch (error) {
+      if (loadId !== team.loadId) return;
+      teamMessage.textContent = `Error: ${error.message}`;
+      showToast(`CF error: ${error.message}`, 'error');
+    } finally {
+      if (loadId === team.loadId) teamLoadBtn.disabled = false;
+    }
+  }
+
+  function getMemberStats(member, problems = getCuratedProblems()) {
+    let solved = 0;
+    let attempted = 0;
+    problems.forEach((p) => {
+      const status = member.statusMap.get(`${p.contestId}${p.index}`);
+      if (status === 'SOLVED') solved++;
+      else if (status === 'ATTEMPTED') attempted++;
+    });
+    return {
+      solved,
+      attempted,
+      percent: problems.length
+        ? Math.round((solved / problems.length) * 100)
+        : 0,
+    };
+  }
+
+  function renderTeamView() {
+    teamResults.classList.toggle('hidden', team.members.length === 0);
+    if (team.members.length === 0) return;
+
+    const ratings = getRatings(getCuratedProblems());
+    const selected = teamRatingSelect.value;
+    teamRatingSelect.innerHTML = html`<option value="">All ratings</option>
+      ${ratings.map((r) => html`<option value="${r}">${r}</option>`)}`;
+    teamRatingSelect.value = ratings.includes(Number(selected)) ? selected : '';
+
+    renderTeamLeaderboard();
+    renderTeamRatingTable(ratings);
+    renderTeamMatrix();
+  }
+
+  function renderTeamLeaderboard() {
+    const rows = team.members.map((member) => ({
+      member,
+      rating: member.info.rating || 0,
+      ...getMemberStats(member),
+    }));
+
+    const direction = team.sortDir === 'asc' ? 1 : -1;
+    rows.sort((a, b) => {
+      if (team.sortKey === 'handle') {
+        return direction * a.member.handle.localeCompare(b.member.handle);
+      }
+      return direction * (a[team.sortKey] - b[team.sortKey]);
+    });
+
+    const headers = [
+      ['handle', 'Handle'],
+      ['rating', 'Rating'],
+      ['solved', 'Solved'],
+      ['attempted', 'Attempted'],
+      ['percent', 'Completion'],
+    ];
+    const headerHtml = headers.map(([key, label]) => {
+      const arrow =
+        team.sortKey === key ? (team.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+      const sort =
+        team.sortKey === key
+          ? team.sortDir === 'asc'
+            ? 'ascending'
+            : 'descending'
+          : 'none';
+      return html`<th
+        data-sort="${key}"
+        class="sortable"
+        tabindex="0"
+        aria-sort="${sort}"
+      >
+        ${label}${arrow}
+      </th>`;
+    });
+
+    teamLeaderboard.innerHTML = html`
+      <thead>
+        <tr>
+          <th>#</th>
+          ${headerHtml}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(
+          (row, index) => html` <tr>
+            <td>${index + 1}</td>
+            <td class="${getRankClassName(row.member.info.rank)}">
+              ${row.member.handle}
+            </td>
+            <td>${row.member.info.rating || 'N/A'}</td>
+            <td class="status-solved">${row.solved}</td>
+            <td class="status-attempted">${row.attempted}</td>
+            <td>${row.percent}%</td>
+          </tr>`
+        )}
+      </tbody>
+    `;
+  }
+
+  function renderTeamRatingTable(ratings) {
+    const problemsByRating = new Map(
+      ratings.map((r) => [
+        r,
+        getCuratedProblems().filter((p) => p.rating === r),
+      ])
+    );
+
+    teamRatingTable.innerHTML = html`
+      <thead>
+        <tr>
+          <th>Handle</th>
+          ${ratings.map((r) => html`<th>${r}</th>`)}
+        </tr>
+      </thead>
+      <tbody>
+        ${team.members.map(
+          (member) => html` <tr>
+            <td class="${getRankClassName(member.info.rank)}">
+              ${member.handle}
+            </td>
+            ${ratings.map((r) => {
+              const stats = getMemberStats(member, problemsByRating.get(r));
+              return html`<td
+                title="${stats.solved}/${problemsByRating.get(r).length} solved"
+              >
+                ${stats.percent}%
+              </td>`;
+            })}
+          </tr>`
+        )}
+      </tbody>
+    `;
+  }
+
+  function renderTeamMatrix() {
+    const rating = Number(teamRatingSelect.value);
+    const curated = getCuratedProblems();
+    const problems = rating
+      ? curated.filter((p) => p.rating === rating)
+      : curated;
+
+    const cellHtml = (status) => {
+      if (status === 'SOLVED') {
+        return html`<td class="status-solved">
+          <span aria-hidden="true">✔</span><span class="sr-only">Solved</span>
+        </td>`;
+      }
+      if (status === 'ATTEMPTED') {
+        return html`<td class="status-attempted">
+          <span aria-hidden="true">✗</span
+          ><span class="sr-only">Attempted</span>
+        </td>`;
+      }
+      return html`<td class="status-unsolved">
+        <span aria-hidden="true">-</span
+        ><span class="sr-only">Not attempted</span>
+      </td>`;
+    };
+
+    teamMatrix.innerHTML = html`
+      <thead>
+        <tr>
+          <th>Problem</th>
+          <th>Rating</th>
+          ${team.members.map(
+            (member) =>
+              html`<th class="${getRankClassName(member.info.rank)}">
+                ${member.handle}
+              </th>`
+          )}
+        </tr>
+      </thead>
+      <tbody>
+        ${problems.map((p) => {
+          const problemId = `${p.contestId}${p.index}`;
+          const link = getContestProblemUrl(p);
+          return html` <tr>
+            <td>
+              <a href="${link}" target="_blank" class="problem-link"
+                >${p.name}</a
+              >
+            </td>
+            <td>${p.rating}</td>
+            ${team.members.map((member) =>
+              cellHtml(member.statusMap.get(problemId))
+            )}
+          </tr>`;
+        })}
+      </tbody>
+    `;
+  }
+
+  // --- SPACED REPETITION REVIEW ---
+  // SM-2 style scheduling: each solved ladder problem becomes a card whose
+  // interval grows with every successful recall and resets when forgotten.
+  const FIRST_REVIEW_DAYS = 3;
+  const DEFAULT_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  const REVIEW_SESSION_SIZE = 10;
+  const UPCOMING_REVIEW_COUNT = 10;
+  const REVIEW_GRADES = {
+    again: { label: 'Forgot', easeChange: -0.2 },
+    hard: { label: 'Hard', easeChange: -0.15 },
+    good: { label: 'Good', easeChange: 0 },
+    easy: { label: 'Easy', easeChange: 0.15 },
+  };
+
+  async function loadReviewSchedule(handle) {
+    try {
+      const stored = await dbGet('reviews', handle.toLowerCase());
+      if (stored) return stored;
+    } catch (error) {
+      console.warn('Could not read the review schedule:', error);
+    }
+    return { handle: handle.toLowerCase(), items: {} };
+  }
+
+  async function saveReviewSchedule() {
+    try {
+      await dbPut('reviews', reviewSchedule);
+    } catch (error) {
+      console.warn('Could not save the review schedule:', error);
+    }
+  }
+
+  // Adds newly solved ladder problems, first due a few days after their AC.
+  // Older solves, such as a whole history on the first sync, are spread over
+  // the coming days instead of all being overdue at once.
+  function updateReviewQueue() {
+    if (!reviewSchedule || allProblems.length === 0) return;
+
+    const firstSolves = getFirstSolveTimes(userSubmissions);
+    const solves = new Map();
+    allProblems.forEach((p) => {
+      const problemId = `${p.contestId}${p.index}`;
+      if (!firstSolves.has(problemId) || reviewSchedule.items[problemId]) {
+        return;
+      }
+      solves.set(
+        problemId,
+        toDayKey(new Date(firstSolves.get(problemId) * 1000))
+      );
+    });
+    const dueDays = scheduleFirstReviews(
+      solves,
+      Object.values(reviewSchedule.items).map((card) => card.due),
+      toDayKey(new Date()),
+      { delay: FIRST_REVIEW_DAYS, perDay: REVIEW_SESSION_SIZE }
+    );
+    solves.forEach((solvedDay, problemId) => {
+      reviewSchedule.items[problemId] = {
+        solvedDay,
+        due: dueDays.get(problemId),
+        interval: FIRST_REVIEW_DAYS,
+        ease: DEFAULT_EASE,
+        reviews: 0,
+        lastReviewed: null,
+      };
+    });
+    if (solves.size > 0) saveReviewSchedule();
+    renderReviewBadge();
+    if (state.view === 'review') renderReviewView();
+  }
+
+  function getNextInterval(card, grade) {
+    if (grade === 'again') return 1;
+    const ease = Math.max(
+      MIN_EASE,
+      card.ease + REVIEW_GRADES[grade].easeChange
+    );
+    const factor = { hard: 1.2, good: ease, easy: ease * 1.3 }[grade];
+    return Math.max(card.interval + 1, Math.round(card.interval * factor));
+  }
+
+  function gradeReview(problemId, grade) {
+    const card = reviewSchedule && reviewSchedule.items[problemId];
+    if (!card || !REVIEW_GRADES[grade]) return;
+
+    const today = toDayKey(new Date());
+    card.interval = getNextInterval(card, grade);
+    card.ease = Math.max(MIN_EASE, card.ease + REVIEW_GRADES[grade].easeChange);
+    card.due = addDays(today, card.interval);
+    card.reviews++;
+    card.lastReviewed = today;
+    saveReviewSchedule();
+    renderReviewBadge();
+    renderReviewView();
+  }
+
+  // Cards whose problem is still in the selected ladder, soonest due first
+  function getReviewCards() {
+    if (!reviewSchedule) return [];
+    return allProblems
+      .map((p) => ({
+        problem: p,
+        card: reviewSchedule.items[`${p.contestId}${p.index}`],
+      }))
+      .filter(({ card }) => card)
+      .sort(
+        (a, b) =>
+          a.card.due.localeCompare(b.card.due) ||
+          a.problem.rating - b.problem.rating
+      );
+  }
+
+  function renderReviewBadge() {
+    const today = toDayKey(new Date());
+    const dueCount = getReviewCards().filter(
+      ({ card }) => card.due <= today
+    ).length;
+    const badge = document.getElementById('review-due-badge');
+    badge.textContent = dueCount;
+    badge.classList.toggle('hidden', dueCount === 0);
+  }
+
+  function renderReviewView() {
+    const message = document.getElementById('review-message');
+    const dueTable = document.getElementById('review-due-table');
+    const upcomingTable = document.getElementById('review-upcoming-table');
+    const summary = document.getElementById('review-summary');
+
+    if (!state.cfHandle) {
+      message.textContent =
+        'Enter your CF handle to build a review queue from your solved problems.';
+      [summary, dueTable, upcomingTable].forEach((el) => (el.innerHTML = ''));
+      return;
+    }
+
+    const today = toDayKey(new Date());
+    const cards = getReviewCards();
+    const due = cards.filter(({ card }) => card.due <= today);
+    const upcoming = cards.filter(({ card }) => card.due > today);
+    const reviewedToday = cards.filter(
+      ({ card }) => card.lastReviewed === today
+    ).length;
+
+    message.textContent = cards.length
+      ? due.length > REVIEW_SESSION_SIZE
+        ? `Showing the ${REVIEW_SESSION_SIZE} most overdue of ${due.length} due problems.`
+        : ''
+      : 'Solve some ladder problems first — they show up here a few days later.';
+    summary.innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Due Today</span>
+        <span class="stat-value">${due.length}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Reviewed Today</span>
+        <span class="stat-value">${reviewedToday}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Scheduled</span>
+        <span class="stat-value">${cards.length}</span>
+      </div>
+    `;
+
+    dueTable.innerHTML = due.length
+      ? html`<thead>
+            <tr>
+              <th>ID</th>
+              <th>Problem</th>
+              <th>Rating</th>
+              <th>Due</th>
+              <th>Recall</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${due
+              .slice(0, REVIEW_SESSION_SIZE)
+              .map(({ problem, card }) => renderReviewRow(problem, card))}
+          </tbody>`
+      : cards.length
+      ? html`<tbody>
+          <tr>
+            <td class="placeholder">Nothing due today. 🎉</td>
+          </tr>
+        </tbody>`
+      : '';
+
+    upcomingTable.innerHTML = upcoming.length
+      ? html`<thead>
+            <tr>
+              <th>ID</th>
+              <th>Problem</th>
+              <th>Rating</th>
+              <th>Due</th>
+              <th>Interval</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${upcoming.slice(0, UPCOMING_REVIEW_COUNT).map(
+              ({ problem, card }) => html`<tr>
+                <td class="problem-id">${problem.contestId}${problem.index}</td>
+                <td>${renderReviewLink(problem)}</td>
+                <td>${problem.rating}</td>
+                <td>${card.due}</td>
+                <td>${card.interval}d</td>
+              </tr>`
+            )}
+          </tbody>`
+      : '';
+  }
+
+  function renderReviewLink(problem) {
+    return html`<a
+      href="${getContestProblemUrl(problem)}"
+      target="_blank"
+      class="problem-link"
+      >${problem.name}</a
+    >`;
+  }
+
+  function renderReviewRow(problem, card) {
+    const problemId = `${problem.contestId}${problem.index}`;
+    const buttons = Object.entries(REVIEW_GRADES).map(
+      ([grade, { label }]) =>
+        html`<button
+          class="secondary-btn review-grade-btn grade-${grade}"
+          data-grade="${grade}"
+          title="Next review in ${getNextInterval(card, grade)} day(s)"
+        >
+          ${label} · ${getNextInterval(card, grade)}d
+        </button>`
+    );
+    return html`<tr data-problem-id="${problemId}">
+      <td class="problem-id">${problemId}</td>
+      <td>${renderReviewLink(problem)}</td>
+      <td>${problem.rating}</td>
+      <td title="Solved ${card.solvedDay}">${card.due}</td>
+      <td class="review-grades">${buttons}</td>
+    </tr>`;
+  }
+
+  function setupReviewView() {
+    document
+      .getElementById('review-due-table')
+      .addEventListener('click', (e) => {
+        const button = e.target.closest('.review-grade-btn');
+        if (!button) return;
+        gradeReview(
+          button.closest('tr').dataset.problemId,
+          button.dataset.grade
+        );
+      });
+  }
+
+  // --- PRACTICE SESSIONS ---
+  const PRACTICE_POLL_MS = 30000;
+  const PRACTICE_HISTORY_LIMIT = 50;
+
+  function setupPracticeView() {
+    document.getElementById('practice-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = e.target;
+      startPracticeSession({
+        count: Number(form.elements.count.value),
+        minutes: Number(form.elements.minutes.value),
+        hideTags: form.elements.hideTags.checked,
+      });
+    });
+    document
+      .getElementById('practice-finish-btn')
+      .addEventListener('click', () => {
+        if (confirm('End this session now and score it?')) {
+          finishPracticeSession();
+        }
+      });
+    document
+      .getElementById('practice-abandon-btn')
+      .addEventListener('click', () => {
+        if (confirm('Abandon this session? It will not be saved.')) {
+          stopPracticeSession();
+          renderPracticeView();
+        }
+      });
+    document
+      .getElementById('practice-clear-history-btn')
+      .addEventListener('click', () => {
+        if (!confirm('Delete all saved practice sessions?')) return;
+        localStorage.removeItem('cfLadderPracticeHistory');
+        renderPracticeHistory();
+      });
+  }
+
+  // Resumes a session that was running when the page was closed. Runs after
+  // the saved handle starts loading so an overdue session is scored first.
+  function resumePracticeSession() {
+    try {
+      practiceSession = JSON.parse(
+        localStorage.getItem('cfLadderPracticeSession')
+      );
+    } catch (error) {
+      practiceSession = null;
+    }
+    if (practiceSession) startPracticeTimers();
+  }
+
+  // Unsolved problems matching the current filters, or the whole ladder
+  function getPracticeCandidates() {
+    const pool = getFilteredProblems() || allProblems;
+    return pool.filter(
+      (p) => problemStatusMap.get(`${p.contestId}${p.index}`) !== 'SOLVED'
+    );
+  }
+
+  function startPracticeSession({ count, minutes, hideTags }) {
+    if (!state.cfHandle) {
+      showToast('Enter your CF handle before starting a session.', 'error');
+      return;
+    }
+    const candidates = getPracticeCandidates();
+    if (candidates.length === 0) {
+      showToast('No unsolved problems match the current filters.', 'error');
+      return;
+    }
+
+    const startedAt = Date.now();
+    practiceSession = {
+      handle: state.cfHandle,
+      startedAt,
+      endsAt: startedAt + minutes * 6e4,
+      minutes,
+      hideTags,
+      problems: pickPracticeProblems(candidates, count).map((p) => ({
+        id: `${p.contestId}${p.index}`,
+        contestId: p.contestId,
+        index: p.index,
+        name: p.name,
+        rating: p.rating,
+        tags: p.tags,
+      })),
+      results: {},
+    };
+    savePracticeSession();
+    startPracticeTimers();
+    renderPracticeView();
+  }
+
+  function savePracticeSession() {
+    if (practiceSession) {
+      localStorage.setItem(
+        'cfLadderPracticeSession',
+        JSON.stringify(practiceSession)
+      );
+    } else {
+      localStorage.removeItem('cfLadderPracticeSession');
+    }
+  }
+
+  function startPracticeTimers() {
+    clearInterval(practiceTimer);
+    clearInterval(practicePollTimer);
+    practiceTimer = setInterval(tickPracticeSession, 1000);
+    practicePollTimer = setInterval(() => {
+      if (!document.hidden) pollPracticeSession();
+    }, PRACTICE_POLL_MS);
+    tickPracticeSession();
+  }
+
+  function stopPracticeSession() {
+    clearInterval(practiceTimer);
+    clearInterval(practicePollTimer);
+    practiceTimer = null;
+    practicePollTimer = null;
+    practiceSession = null;
+    savePracticeSession();
+  }
+
+  function tickPracticeSession() {
+    if (!practiceSession) return;
+    if (practiceSession.endsAt <= Date.now()) {
+      finishPracticeSession();
+      return;
+    }
+    renderPracticeTimer();
+  }
+
+  function renderPracticeTimer() {
+    document.getElementById('practice-timer').textContent = formatDuration(
+      practiceSession.endsAt - Date.now()
+    );
+  }
+
+  async function pollPracticeSession() {
+    if (!practiceSession) return;
+    if (state.cfHandle.toLowerCase() !== practiceSession.handle.toLowerCase()) {
+      return; // Another handle is loaded; keep the last known results
+    }
+    await refreshSubmissions({ silent: true });
+    if (!practiceSession) return;
+    practiceSession.results = scorePracticeSession(
+      practiceSession,
+      userSubmissions
+    );
+    savePracticeSession();
+    if (state.view === 'practice') renderPracticeView();
+  }
+
+  async function finishPracticeSession() {
+    if (!practiceSession || practiceFinishing) return;
+    practiceFinishing = true;
+    clearInterval(practiceTimer);
+    clearInterval(practicePollTimer);
+    // Finishing early closes the window; later submissions do not count
+    practiceSession.endsAt = Math.min(Date.now(), practiceSession.endsAt);
+    try {
+      // A sync that is already running may have started before the last
+      // accepted submission, so let it finish and sync once more
+      if (syncPromise) await syncPromise;
+      await pollPracticeSession();
+    } finally {
+      practiceFinishing = false;
+    }
+
+    const session = practiceSession;
+    if (!session) return;
+    const history = loadPracticeHistory();
+    history.unshift({ ...session, ...getPracticeTotals(session) });
+    localStorage.setItem(
+      'cfLadderPracticeHistory',
+      JSON.stringify(history.slice(0, PRACTICE_HISTORY_LIMIT))
+    );
+    stopPracticeSession();
+    renderPracticeView(history[0]);
+    showToast(
+      `Session over: ${history[0].solved}/${session.problems.length} solved.`
+    );
+  }
+
+  function loadPracticeHistory() {
+    try {
+      return JSON.parse(localStorage.getItem('cfLadderPracticeHistory')) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(
+      Math.floor((totalSeconds % 3600) / 60)
+    )}:${pad(totalSeconds % 60)}`;
+  }
+
+  // Pass a finished session to show its summary in place of the setup form
+  function renderPracticeView(summary = null) {
+    const setup = document.getElementById('practice-setup');
+    const active = document.getElementById('practice-active');
+    const summaryEl = document.getElementById('practice-summary');
+
+    setup.classList.toggle('hidden', Boolean(practiceSession));
+    active.classList.toggle('hidden', !practiceSession);
+    summaryEl.classList.toggle('hidden', !summary);
+
+    if (practiceSession) {
+      document.getElementById('practice-problems').innerHTML =
+        renderPracticeTable(practiceSession, false);
+      renderPracticeTimer();
+    } else {
+      const count = getPracticeCandidates().length;
+      document.getElementById('practice-pool').textContent = state.cfHandle
+        ? `${count} unsolved problem${
+            count === 1 ? '' : 's'
+          } match the current Problems filters.`
+        : 'Enter your CF handle to start a session.';
+    }
+    if (summary) {
+      summaryEl.innerHTML = html`
+        <h3>Session Summary</h3>
+        <div class="profile-info">
+          <div class="stat-block">
+            <span class="stat-label">Solved</span>
+            <span class="stat-value"
+              >${summary.solved}/${summary.problems.length}</span
+            >
+          </div>
+          <div class="stat-block">
+            <span class="stat-label">Penalty</span>
+            <span class="stat-value">${summary.penalty}</span>
+          </div>
+        </div>
+        <div class="table-container">
+          <table class="problem-table">
+            ${renderPracticeTable(summary, true)}
+          </table>
+        </div>
+      `;
+    }
+    renderPracticeHistory();
+  }
+
+  function renderPracticeTable(session, showTags) {
+    const rows = session.problems.map((p, i) => {
+      const result = session.results[p.id];
+      const solved = result && result.solvedAt !== null;
+      const tries = result ? result.wrongTries : 0;
+      const tagsHtml =
+        showTags || !session.hideTags
+          ? p.tags.map((tag) => html`<span class="tag-chip">${tag}</span>`)
+          : html`<span class="status-unsolved">hidden</span>`;
+      return html`<tr>
+        <td>${String.fromCharCode(65 + i)}</td>
+        <td>
+          <a
+            href="${getContestProblemUrl(p)}"
+            target="_blank"
+            class="problem-link"
+            >${p.name}</a
+          >
+        </td>
+        <td>${p.rating}</td>
+        <td>${tagsHtml}</td>
+        <td
+          class="${solved
+            ? 'status-solved'
+            : tries
+            ? 'status-attempted'
+            : 'status-unsolved'}"
+        >
+          ${solved
+            ? `✔ ${formatDuration(result.solvedAt)}`
+            : tries
+            ? 'Tried'
+            : '-'}
+        </td>
+        <td>${tries ? `-${tries}` : ''}</td>
+      </tr>`;
+    });
+    return html`<thead>
+        <tr>
+          <th>#</th>
+          <th>Problem</th>
+          <th>Rating</th>
+          <th>Tags</th>
+          <th>Solved At</th>
+          <th>Wrong</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>`;
+  }
+
+  function renderPracticeHistory() {
+    const history = loadPracticeHistory();
+    document
+      .getElementById('practice-history-section')
+      .classList.toggle('hidden', history.length === 0);
+    document.getElementById('practice-history').innerHTML = html`
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Handle</th>
+          <th>Duration</th>
+          <th>Solved</th>
+          <th>Penalty</th>
+          <th>Ratings</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${history.map((session) => {
+          const ratings = session.problems.map((p) => p.rating);
+          return html`<tr>
+            <td>${new Date(session.startedAt).toLocaleString()}</td>
+            <td>${session.handle}</td>
+            <td>${formatDuration(session.endsAt - session.startedAt)}</td>
+            <td>${session.solved}/${session.problems.length}</td>
+            <td>${session.penalty}</td>
+            <td>${Math.min(...ratings)}–${Math.max(...ratings)}</td>
+          </tr>`;
+        })}
+      </tbody>
+    `;
+  }
+
+  // --- ANALYTICS ---
+  function generateAnalytics(submissions) {
+    renderLadderAnalytics(submissions.length > 0);
+    renderActivityAnalytics(submissions);
+    renderRatingAnalytics(submissions);
+    renderGoals();
+
+    // In ladder scope only ladder problems count, with curated ratings
+    const ladderOnly = state.analyticsScope === 'ladder';
+    const ladderById = new Map(
+      getCuratedProblems().map((p) => [`${p.contestId}${p.index}`, p])
+    );
+
+    renderEfficiencyAnalytics(
+      ladderOnly
+        ? submissions.filter((sub) =>
+            ladderById.has(`${sub.problem.contestId}${sub.problem.index}`)
+          )
+        : submissions
+    );
+
+    const solvedProblems = getSolvedProblems(
+      submissions,
+      ladderOnly ? ladderById : null
+    );
+
+    if (solvedProblems.size === 0) {
+      analyticsMessage.textContent = ladderOnly
+        ? 'No ladder problems solved yet. Pick a rating and start climbing!'
+        : 'No problems solved yet. Solve some problems to see your stats!';
+      analyticsMessage.classList.remove('hidden');
+      document.querySelector('.charts-grid').classList.add('hidden');
+      return;
+    }
+
+    analyticsMessage.classList.add('hidden');
+    document.querySelector('.charts-grid').classList.remove('hidden');
+
+    // 1. Tag Analysis
+    renderTagsPieChart(countByTag(solvedProblems));
+
+    // 2. Rating Analysis
+    renderRatingsBarChart(countByRating(solvedProblems));
+  }
+
+  function setupAnalyticsScope() {
+    analyticsScope.addEventListener('click', (e) => {
+      const button = e.target.closest('.scope-btn');
+      if (!button || button.dataset.scope === state.analyticsScope) return;
+      state.analyticsScope = button.dataset.scope;
+      analyticsScope.querySelectorAll('.scope-btn').forEach((btn) => {
+        btn.classList.toggle('active', btn === button);
+        btn.setAttribute('aria-pressed', btn === button);
+      });
+      generateAnalytics(userSubmissions);
+      updateUrl();
+    });
+  }
+
+  // Progress on the selected ladder, independent of the scope toggle
+  function renderLadderAnalytics(hasSubmissions) {
+    if (!hasSubmissions || allProblems.length === 0) {
+      ladderAnalytics.classList.add('hidden');
+      return;
+    }
+    ladderAnalytics.classList.remove('hidden');
+
+    const statusOf = (p) => problemStatusMap.get(`${p.contestId}${p.index}`);
+    const summarize = (problems) => {
+      const solved = problems.filter((p) => statusOf(p) === 'SOLVED').length;
+      const attempted = problems.filter(
+        (p) => statusOf(p) === 'ATTEMPTED'
+      ).length;
+      return {
+        total: problems.length,
+        solved,
+        attempted,
+        untouched: problems.length - solved - attempted,
+        percent: problems.length
+          ? Math.round((solved / problems.length) * 100)
+          : 0,
+      };
+    };
+
+    const curated = getCuratedProblems();
+    const overall = summarize(curated);
+    document.getElementById('ladder-summary').innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Completion</span>
+        <span class="stat-value">${overall.percent}%</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Solved</span>
+        <span class="stat-value status-solved">${overall.solved}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Attempted, Unsolved</span>
+        <span class="stat-value status-attempted">${overall.attempted}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Untouched</span>
+        <span class="stat-value">${overall.untouched}</span>
+      </div>
+    `;
+
+    const byRating = getLadderRatings()
+      .map((rating) => [
+        rating,
+        summarize(curated.filter((p) => p.rating === rating)),
+      ])
+      .filter(([, stats]) => stats.total > 0);
+    const byTag = getLadderTags()
+      .map((tag) => [
+        tag,
+        summarize(curated.filter((p) => p.tags.includes(tag))),
+      ])
+      .filter(([, stats]) => stats.total > 0);
+
+    document.getElementById('ladder-rating-table').innerHTML =
+      renderCompletionTable('Rating', byRating);
+    document.getElementById('ladder-tag-table').innerHTML =
+      renderCompletionTable(
+        'Tag',
+        byTag.sort(([, a], [, b]) => a.percent - b.percent)
+      );
+    renderLadderProgressChart(byRating);
+  }
+
+  function renderCompletionTable(label, rows) {
+    return html`
+      <thead>
+        <tr>
+          <th>${label}</th>
+          <th>Solved</th>
+          <th>Attempted</th>
+          <th>Total</th>
+          <th>Completion</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(
+          ([key, stats]) => html` <tr>
+            <td>${key}</td>
+            <td class="status-solved">${stats.solved}</td>
+            <td class="status-attempted">${stats.attempted}</td>
+            <td>${stats.total}</td>
+            <td>
+              <div class="progress-bar">
+                <span style="width: ${stats.percent}%"></span>
+              </div>
+              ${stats.percent}%
+            </td>
+          </tr>`
+        )}
+      </tbody>
+    `;
+  }
+
+  // Canvas charts are invisible to screen readers, so each one gets a
+  // collapsible table of the same numbers. `category` heads the label column.
+  // Colours given as 'var(--name)' follow the theme, see rethemeCharts.
+  function createChart(canvas, config, category) {
+    const bindings = bindThemeColors(config, readThemeColor);
+    const chart = new Chart(canvas, config);
+    themedCharts.set(canvas, { chart, bindings });
+    const heading = canvas.parentElement.querySelector('h3');
+    const title = heading ? heading.textContent.trim() : category;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute(
+      'aria-label',
+      `${title}, chart. Values in the table below.`
+    );
+
+    let details = canvas.nextElementSibling;
+    if (!details || !details.classList.contains('chart-table')) {
+      details = document.createElement('details');
+      details.className = 'chart-table';
+      canvas.after(details);
+    }
+    // A dataset's `tableData` replaces its values in the table
+    const { labels, datasets } = config.data;
+    details.innerHTML = html`
+      <summary>Data table</summary>
+      <table class="problem-table">
+        <caption class="sr-only">
+          ${title}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col">${category}</th>
+            ${datasets.map((d) => html`<th scope="col">${d.label}</th>`)}
+          </tr>
+        </thead>
+        <tbody>
+          ${labels.map(
+            (label, i) => html` <tr>
+              <th scope="row">${label}</th>
+              ${datasets.map(
+                (d) => html`<td>${(d.tableData || d.data)[i]}</td>`
+              )}
+            </tr>`
+          )}
+        </tbody>
+      </table>
+    `;
+    return chart;
+  }
+
+  function renderLadderProgressChart(byRating) {
+    if (ladderProgressChart) ladderProgressChart.destroy();
+
+    const dataset = (label, key, color) => ({
+      label,
+      data: byRating.map(([, stats]) => stats[key]),
+      backgroundColor: `var(${color})`,
+      borderRadius: 4,
+    });
+
+    ladderProgressChart = createChart(
+      ladderProgressCanvas,
+      {
+        type: 'bar',
+        data: {
+          labels: byRating.map(([rating]) => rating),
+          datasets: [
+            dataset('Solved', 'solved', '--accent-green'),
+            dataset('Attempted', 'attempted', '--accent-yellow'),
+            dataset('Untouched', 'untouched', '--border-color'),
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: {
+              position: 'top',
+              labels: { color: 'var(--text-secondary)' },
+            },
+          },
+          scales: {
+            y: {
+              stacked: true,
+              beginAtZero: true,
+              ticks: { color: 'var(--text-secondary)' },
+              grid: { color: 'var(--border-color)' },
+            },
+            x: {
+              stacked: true,
+              ticks: { color: 'var(--text-secondary)' },
+              grid: { display: false },
+            },
+          },
+        },
+      },
+      'Rating'
+    );
+  }
+
+  // --- SUBMISSION EFFICIENCY ---
+  const MIN_PROBLEMS_PER_TAG = 3;
+
+  function renderEfficiencyAnalytics(submissions) {
+    const judged = submissions.filter((sub) => !isPendingVerdict(sub));
+    if (judged.length === 0) {
+      efficiencySection.classList.add('hidden');
+      return;
+    }
+    efficiencySection.classList.remove('hidden');
+
+    const attemptStats = buildAttemptStats(judged);
+    const solved = [...attemptStats.values()].filter(
+      (stats) => stats.triesUntilAc !== null
+    );
+    const firstTry = solved.filter((stats) => stats.triesUntilAc === 1).length;
+    const averageTries = solved.length
+      ? solved.reduce((sum, stats) => sum + stats.triesUntilAc, 0) /
+        solved.length
+      : 0;
+
+    document.getElementById('efficiency-summary').innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Submissions</span>
+        <span class="stat-value">${judged.length}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">First-try AC</span>
+        <span class="stat-value"
+          >${attemptStats.size
+            ? Math.round((firstTry / attemptStats.size) * 100)
+            : 0}%</span
+        >
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Avg. Tries Until AC</span>
+        <span class="stat-value">${averageTries.toFixed(2)}</span>
+      </div>
+    `;
+
+    const verdictCounts = {};
+    judged.forEach((sub) => {
+      const label = VERDICTS[sub.verdict]
+        ? VERDICTS[sub.verdict].short
+        : 'Other';
+      verdictCounts[label] = (verdictCounts[label] || 0) + 1;
+    });
+    renderVerdictChart(verdictCounts);
+
+    const problemsById = new Map(
+      judged.map((sub) => [
+        `${sub.problem.contestId}${sub.problem.index}`,
+        sub.problem,
+      ])
+    );
+    renderTriesTable(attemptStats, problemsById);
+    renderFirstTryTagTable(attemptStats, problemsById);
+  }
+
+  // Problems that took the most tries, and unsolved ones still being fought
+  function renderTriesTable(attemptStats, problemsById) {
+    const rows = [...attemptStats.entries()]
+      .filter(([, stats]) => stats.triesUntilAc !== 1)
+      .sort(
+        ([, a], [, b]) =>
+          (b.triesUntilAc || b.attempts) - (a.triesUntilAc || a.attempts)
+      )
+      .slice(0, 10);
+
+    document.getElementById('tries-table').innerHTML = html`
+      <thead>
+        <tr>
+          <th>Problem</th>
+          <th>Tries</th>
+          <th>Last Verdict</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(([problemId, stats]) => {
+          const problem = problemsById.get(problemId);
+          const verdict = VERDICTS[stats.lastVerdict] || {
+            short: stats.lastVerdict,
+          };
+          const tries =
+            stats.triesUntilAc === null
+              ? html`<span class="status-attempted"
+                  >${stats.attempts}, unsolved</span
+                >`
+              : `${stats.triesUntilAc} until AC`;
+          return html` <tr>
+            <td>
+              <a
+                href="${getContestProblemUrl(problem)}"
+                target="_blank"
+                class="problem-link"
+                >${problem.name}</a
+              >
+            </td>
+            <td>${tries}</td>
+            <td>
+              <span class="verdict verdict-${verdict.short}"
+                >${verdict.short}</span
+              >
+            </td>
+          </tr>`;
+        })}
+      </tbody>
+    `;
+  }
+
+  function renderFirstTryTagTable(attemptStats, problemsById) {
+    const tagStats = {};
+    attemptStats.forEach((stats, problemId) => {
+      problemsById.get(problemId).tags.forEach((tag) => {
+        if (!tagStats[tag]) tagStats[tag] = { problems: 0, firstTry: 0 };
+        tagStats[tag].problems++;
+        if (stats.firstTryAc) tagStats[tag].firstTry++;
+      });
+    });
+
+    const rows = Object.entries(tagStats)
+      .filter(([, stats]) => stats.problems >= MIN_PROBLEMS_PER_TAG)
+      .map(([tag, stats]) => [
+        tag,
+        stats,
+        Math.round((stats.firstTry / stats.problems) * 100),
+      ])
+      .sort(([, , a], [, , b]) => a - b)
+      .slice(0, 10);
+
+    document.getElementById('first-try-table').innerHTML = html`
+      <thead>
+        <tr>
+          <th>Tag</th>
+          <th>First-try AC</th>
+          <th>Problems</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(
+          ([tag, stats, percent]) => html` <tr>
+            <td>${tag}</td>
+            <td>
+              <div class="progress-bar">
+                <span style="width: ${percent}%"></span>
+              </div>
+              ${percent}%
+            </td>
+            <td>${stats.firstTry}/${stats.problems}</td>
+          </tr>`
+        )}
+      </tbody>
+    `;
+  }
+
+  function renderVerdictChart(verdictCounts) {
+    if (verdictChart) verdictChart.destroy();
+
+    const colors = {
+      AC: '#10B981',
+      WA: '#EF4444',
+      TLE: '#F59E0B',
+      MLE: '#8B5CF6',
+      RE: '#EC4899',
+      CE: '#6366F1',
+      Other: '#6B7280',
+    };
+    const entries = Object.entries(verdictCounts).sort(([, a], [, b]) => b - a);
+
+    verdictChart = createChart(
+      verdictChartCanvas,
+      {
+        type: 'doughnut',
+        data: {
+          labels: entries.map(([label]) => label),
+          datasets: [
+            {
+              label: 'Submissions',
+              data: entries.map(([, count]) => count),
+              backgroundColor: entries.map(([label]) => colors[label]),
+              borderColor: 'var(--bg-secondary)',
+              borderWidth: 2,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: {
+              position: 'top',
+              labels: { color: 'var(--text-secondary)' },
+            },
+          },
+        },
+      },
+      'Verdict'
+    );
+  }
+
+  // --- ACTIVITY & STREAKS ---
+  const HEATMAP_WEEKS = 53;
+  const WEEKLY_CHART_WEEKS = 26;
+
+  // Local calendar day, so streaks follow the user's own midnight
+  function toDayKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+  }
+
+  function startOfWeek(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - start.getDay());
+    return start;
+  }
+
+  function getStreaks(activeDays, today = new Date()) {
+    const sorted = [...activeDays].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    sorted.forEach((day) => {
+      const date = new Date(`${day}T00:00:00`);
+      const expected = previous && new Date(previous);
+      if (expected) expected.setDate(expected.getDate() + 1);
+      run = expected && expected.getTime() === date.getTime() ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    });
+
+    // A streak is still alive if the user has not solved anything yet today
+    let current = 0;
+    const cursor = new Date(today);
+    if (!activeDays.has(toDayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+    while (activeDays.has(toDayKey(cursor))) {
+      current++;
+      cursor.setDate(cursor.getDate() - 1);
+    }
+    return { current, longest };
+  }
+
+  function renderActivityAnalytics(submissions) {
+    const accepted = submissions.filter((sub) => sub.verdict === 'OK');
+    if (accepted.length === 0) {
+      activitySection.classList.add('hidden');
+      return;
+    }
+    activitySection.classList.remove('hidden');
+
+    const acceptedPerDay = new Map();
+    accepted.forEach((sub) => {
+      const day = toDayKey(new Date(sub.creationTimeSeconds * 1000));
+      acceptedPerDay.set(day, (acceptedPerDay.get(day) || 0) + 1);
+    });
+
+    const streaks = getStreaks(new Set(acceptedPerDay.keys()));
+    document.getElementById('activity-summary').innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Current Streak</span>
+        <span class="stat-value">${streaks.current} day(s)</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Longest Streak</span>
+        <span class="stat-value">${streaks.longest} day(s)</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Active Days</span>
+        <span class="stat-value">${acceptedPerDay.size}</span>
+      </div>
+    `;
+
+    renderActivityHeatmap(acceptedPerDay);
+
+    const firstSolves = getFirstSolveTimes(submissions);
+    const ladderIds = new Set(
+      getCuratedProblems().map((p) => `${p.contestId}${p.index}`)
+    );
+    renderCumulativeChart(firstSolves, ladderIds);
+    renderWeeklyChart(firstSolves, ladderIds);
+  }
+
+  // GitHub-style grid: one column per week, Sunday on top
+  function renderActivityHeatmap(acceptedPerDay) {
+    const today = new Date();
+    const start = startOfWeek(today);
+    start.setDate(start.getDate() - (HEATMAP_WEEKS - 1) * 7);
+
+    const max = Math.max(...acceptedPerDay.values());
+    const level = (count) =>
+      count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4));
+
+    const cells = [];
+    for (
+      const day = new Date(start);
+      day <= today;
+      day.setDate(day.getDate() + 1)
+    ) {
+      const key = toDayKey(day);
+      const count = acceptedPerDay.get(key) || 0;
+      cells.push(
+        html`<span
+          class="heatmap-cell"
+          data-level="${level(count)}"
+          title="${count} accepted on ${key}"
+        ></span>`
+      );
+    }
+    activityHeatmap.innerHTML = html`${cells}`;
+  }
+
+  function renderCumulativeChart(firstSolves, ladderIds) {
+    if (cumulativeChart) cumulativeChart.destroy();
+
+    const ladderSolveDays = [...firstSolves.entries()]
+      .filter(([problemId]) => ladderIds.has(problemId))
+      .map(([, seconds]) => seconds)
+      .sort((a, b) => a - b)
+      .map((seconds) => toDayKey(new Date(seconds * 1000)));
+
+    // One point per day on which the total grew
+    const totals = new Map();
+    ladderSolveDays.forEach((day, index) => totals.set(day, index + 1));
+
+    cumulativeChart = createChart(
+      cumulativeChartCanvas,
+      {
+        type: 'line',
+        data: {
+          labels: [...totals.keys()],
+          datasets: [
+            {
+              label: 'Ladder problems solved',
+              data: [...totals.values()],
+              borderColor: 'var(--accent-green)',
+              backgroundColor: 'var(--accent-green)',
+              pointRadius: 2,
+              tension: 0.2,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: { legend: { display: false } },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: { color: 'var(--text-secondary)' },
+              grid: { color: 'var(--border-color)' },
+            },
+            x: {
+              ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 8,
+              },
+              grid: { display: false },
+            },
+          },
+        },
+      },
+      'Date'
+    );
+  }
+
+  function renderWeeklyChart(firstSolves, ladderIds) {
+    if (weeklyChart) weeklyChart.destroy();
+
+    const firstWeek = startOfWeek(new Date());
+    firstWeek.setDate(firstWeek.getDate() - (WEEKLY_CHART_WEEKS - 1) * 7);
+    const weeks = new Map();
+    for (let i = 0; i < WEEKLY_CHART_WEEKS; i++) {
+      const week = new Date(firstWeek);
+      week.setDate(week.getDate() + i * 7);
+      weeks.set(toDayKey(week), { ladder: 0, other: 0 });
+    }
+
+    firstSolves.forEach((seconds, problemId) => {
+      const week = weeks.get(toDayKey(startOfWeek(new Date(seconds * 1000))));
+      if (!week) return;
+      if (ladderIds.has(problemId)) week.ladder++;
+      else week.other++;
+    });
+
+    weeklyChart = createChart(
+      weeklyChartCanvas,
+      {
+        type: 'bar',
+        data: {
+          labels: [...weeks.keys()],
+          datasets: [
+            {
+              label: 'Ladder',
+              data: [...weeks.values()].map((w) => w.ladder),
+              backgroundColor: 'var(--accent-green)',
+              borderRadius: 4,
+            },
+            {
+              label: 'Other',
+              data: [...weeks.values()].map((w) => w.other),
+              backgroundColor: 'var(--accent-primary)',
+              borderRadius: 4,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: {
+              position: 'top',
+              labels: { color: 'var(--text-secondary)' },
+            },
+          },
+          scales: {
+            y: {
+              stacked: true,
+              beginAtZero: true,
+              ticks: { color: 'var(--text-secondary)' },
+              grid: { color: 'var(--border-color)' },
+            },
+            x: {
+              stacked: true,
+              ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 9,
+              },
+              grid: { display: false },
+            },
+          },
+        },
+      },
+      'Week'
+    );
+  }
+
+  // --- CONTEST RATING ---
+  // user.rating is only needed here, so it is fetched the first time the
+  // analytics view is shown for a handle.
+  const RATING_HISTORY_CACHE_MS = 10 * 60 * 1000;
+  const GAIN_WINDOW_DAYS = 30;
+
+  function renderRatingAnalytics(submissions) {
+    const handle = state.cfHandle;
+    if (!handle || submissions.length === 0) {
+      ratingSection.classList.add('hidden');
+      return;
+    }
+    ratingSection.classList.remove('hidden');
+
+    if (!ratingHistory || ratingHistory.handle !== handle) {
+      loadRatingHistory(handle);
+    }
+    const { changes, error } = ratingHistory;
+    const message = error
+      ? `Could not load the contest history: ${error.message}`
+      : !changes
+      ? 'Loading contest history...'
+      : changes.length === 0
+      ? `${handle} has no rated contests yet.`
+      : '';
+    ratingMessage.textContent = message;
+    ratingDetails.classList.toggle('hidden', Boolean(message));
+    if (message) return;
+
+    const firstSolves = getFirstSolveTimes(submissions);
+    const ladderIds = new Set(
+      getCuratedProblems().map((p) => `${p.contestId}${p.index}`)
+    );
+    const contests = countSolvesBeforeContests(
+      changes,
+      firstSolves,
+      ladderIds,
+      GAIN_WINDOW_DAYS
+    );
+    // The first contest moves from the starting rating, not a real gain
+    const gains = contests.slice(1).filter((c) => c.delta > 0);
+    const drops = contests.slice(1).filter((c) => c.delta < 0);
+
+    renderRatingSummary(contests, gains, drops);
+    renderRatingHistoryChart(
+      contests,
+      getBucketCompletions(getCuratedProblems(), firstSolves)
+    );
+    renderContestDeltaTable(contests);
+    renderRatingGainTable(gains);
+  }
+
+  async function loadRatingHistory(handle) {
+    const entry = { handle, changes: null, error: null };
+    ratingHistory = entry;
+    try {
+      entry.changes = await cfApi.call(
+        'user.rating',
+        { handle },
+        {
+          signal: userLoadController && userLoadController.signal,
+          cacheTtlMs: RATING_HISTORY_CACHE_MS,
+          background: true,
+        }
+      );
+    } catch (error) {
+      if (isAbortError(error)) return;
+      entry.error = error;
+    }
+    if (ratingHistory !== entry) return;
+    if (state.view === 'analytics') renderRatingAnalytics(userSubmissions);
+    if (state.view === 'upsolve') renderUpsolveView();
+  }
+
+  function formatDelta(delta) {
+    return `${delta > 0 ? '+' : ''}${delta}`;
+  }
+
+  function averageLadderSolves(contests) {
+    if (contests.length === 0) return 'N/A';
+    const total = contests.reduce((sum, c) => sum + c.ladder, 0);
+    return (total / contests.length).toFixed(1);
+  }
+
+  function renderRatingSummary(contests, gains, drops) {
+    const best = contests
+      .slice(1)
+      .reduce((top, c) => (!top || c.delta > top.delta ? c : top), null);
+    document.getElementById('rating-summary').innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Rated Contests</span>
+        <span class="stat-value">${contests.length}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Best Change</span>
+        <span class="stat-value"
+          >${best ? formatDelta(best.delta) : 'N/A'}</span
+        >
+      </div>
+      <div
+        class="stat-block"
+        title="Ladder problems solved in the ${GAIN_WINDOW_DAYS} days before"
+      >
+        <span class="stat-label">Ladder Solves Before a Gain</span>
+        <span class="stat-value">${averageLadderSolves(gains)}</span>
+      </div>
+      <div
+        class="stat-block"
+        title="Ladder problems solved in the ${GAIN_WINDOW_DAYS} days before"
+      >
+        <span class="stat-label">Ladder Solves Before a Drop</span>
+        <span class="stat-value">${averageLadderSolves(drops)}</span>
+      </div>
+    `;
+  }
+
+  // Each finished rating bucket is marked on the first contest after it
+  function renderRatingHistoryChart(contests, completions) {
+    if (ratingHistoryChart) ratingHistoryChart.destroy();
+
+    const milestones = contests.map(() => []);
+    completions.forEach(({ rating, completedAt }) => {
+      const index = contests.findIndex(
+        (c) => c.ratingUpdateTimeSeconds >= completedAt
+      );
+      if (index !== -1) milestones[index].push(`Finished ${rating}`);
+    });
+
+    ratingHistoryChart = createChart(
+      ratingHistoryCanvas,
+      {
+        type: 'line',
+        data: {
+          labels: contests.map((c) =>
+            toDayKey(new Date(c.ratingUpdateTimeSeconds * 1000))
+          ),
+          datasets: [
+            {
+              label: 'Rating',
+              data: contests.map((c) => c.newRating),
+              borderColor: 'var(--accent-primary)',
+              backgroundColor: 'var(--accent-primary)',
+              pointRadius: 2,
+              tension: 0.2,
+            },
+            {
+              label: 'Ladder milestone',
+              data: contests.map((c, i) =>
+                milestones[i].length > 0 ? c.newRating : null
+              ),
+              tableData: milestones.map((names) => names.join(', ')),
+              showLine: false,
+              pointStyle: 'rectRot',
+              pointRadius: 7,
+              borderColor: 'var(--accent-green)',
+              backgroundColor: 'var(--accent-green)',
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: {
+              position: 'top',
+              labels: { color: 'var(--text-secondary)' },
+            },
+            tooltip: {
+              callbacks: {
+                label: (item) =>
+                  item.datasetIndex === 0
+                    ? `${contests[item.dataIndex].contestName}: ${item.raw}`
+                    : milestones[item.dataIndex].join(', '),
+              },
+            },
+          },
+          scales: {
+            y: {
+              ticks: { color: 'var(--text-secondary)' },
+              grid: { color: 'var(--border-color)' },
+            },
+            x: {
+              ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 8,
+              },
+              grid: { display: false },
+            },
+          },
+        },
+      },
+      'Date'
+    );
+  }
+
+  function renderContestDeltaTable(contests) {
+    document.getElementById('contest-delta-table').innerHTML = html`
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Contest</th>
+          <th>Rank</th>
+          <th>Rating</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${[...contests].reverse().map(
+          (c) => html`<tr>
+            <td>${toDayKey(new Date(c.ratingUpdateTimeSeconds * 1000))}</td>
+            <td>
+              <a
+                href="${getContestUrl(c.contestId)}"
+                target="_blank"
+                class="problem-link"
+                >${c.contestName}</a
+              >
+            </td>
+            <td>${c.rank}</td>
+            <td>${c.newRating}</td>
+            <td class="rating-delta ${c.delta >= 0 ? 'up' : 'down'}">
+              ${formatDelta(c.delta)}
+            </td>
+          </tr>`
+        )}
+      </tbody>
+    `;
+  }
+
+  function renderRatingGainTable(gains) {
+    const table = document.getElementById('rating-gain-table');
+    if (gains.length === 0) {
+      table.innerHTML = html`<tbody>
+        <tr>
+          <td class="placeholder">No rating gains yet.</td>
+        </tr>
+      </tbody>`;
+      return;
+    }
+    table.innerHTML = html`
+      <thead>
+        <tr>
+          <th>Contest</th>
+          <th>Change</th>
+          <th>Ladder</th>
+          <th>Other</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${[...gains].reverse().map(
+          (c) => html`<tr>
+            <td>${c.contestName}</td>
+            <td class="rating-delta up">${formatDelta(c.delta)}</td>
+            <td>${c.ladder}</td>
+            <td>${c.other}</td>
+          </tr>`
+        )}
+      </tbody>
+    `;
+  }
+
+  function renderTagsPieChart(tagData) {
+    if (tagsPieChart) tagsPieChart.destroy();
+
+    const sortedTags = Object.entries(tagData).sort(([, a], [, b]) => b - a);
+    const topTags = sortedTags.slice(0, 10);
+    const otherCount = sortedTags
+      .slice(10)
+      .reduce((sum, [, count]) => sum + count, 0);
+    if (otherCount > 0) topTags.push(['Other', otherCount]);
+
+    tagsPieChart = createChart(
+      tagsPieChartCanvas,
+      {
+        type: 'pie',
+        data: {
+          labels: topTags.map((item) => item[0]),
+          datasets: [
+            {
+              label: 'Solved Problems by Tag',
+              data: topTags.map((item) => item[1]),
+              backgroundColor: [
+                '#3B82F6',
+                '#10B981',
+                '#F59E0B',
+                '#EF4444',
+                '#8B5CF6',
+                '#EC4899',
+                '#6366F1',
+                '#14B8A6',
+                '#F97316',
+                '#D946EF',
+                '#6B7280',
+              ],
+              borderColor: 'var(--bg-secondary)',
+              borderWidth: 2,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: {
+              position: 'top',
+              labels: {
+                color: 'var(--text-secondary)',
+              },
+            },
+          },
+        },
+      },
+      'Tag'
+    );
+  }
+
+  function renderRatingsBarChart(ratingData) {
+    if (ratingsBarChart) ratingsBarChart.destroy();
+
+    const sortedRatings = Object.entries(ratingData).sort(([a], [b]) => a - b);
+
+    ratingsBarChart = createChart(
+      ratingsBarChartCanvas,
+      {
+        type: 'bar',
+        data: {
+          labels: sortedRatings.map((item) => item[0]),
+          datasets: [
+            {
+              label: 'Solved Count',
+              data: sortedRatings.map((item) => item[1]),
+              backgroundColor: 'var(--accent-primary)',
+              borderColor: 'var(--accent-primary)',
+              borderWidth: 1,
+              borderRadius: 4,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: { legend: { display: false } },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                color: 'var(--text-secondary)',
+              },
+              grid: {
+                color: 'var(--border-color)',
+              },
+            },
+            x: {
+              ticks: {
+                color: 'var(--text-secondary)',
+              },
+              grid: { display: false },
+            },
+          },
+        },
+      },
+      'Rating'
+    );
+  }
+
+  // --- UPSOLVE & PERSONAL LADDER ---
+  // Problems left over from the user's contests can be added to a personal
+  // ladder, kept in IndexedDB per handle and listed in the problem table
+  // after the curated problems. Unrated ones, common right after a round,
+  // join the table once Codeforces rates them. Gym problems cannot be added
+  // as the problemset never lists them.
+  const PERSONAL_SECTION = 'My Upsolve List';
+  const PARTICIPANT_LABELS = {
+    CONTESTANT: 'Live',
+    OUT_OF_COMPETITION: 'Out of competition',
+    VIRTUAL: 'Virtual',
+  };
+  const UPSOLVE_STATUSES = {
+    FAILED: { label: 'Failed in contest', className: 'status-attempted' },
+    UNOPENED: { label: 'Not opened', className: '' },
+    UPSOLVED: { label: 'Upsolved', className: 'status-solved' },
+  };
+
+  function setupUpsolveView() {
+    upsolveList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-upsolve-action]');
+      if (!button) return;
+      const contestId = Number(
+        button.closest('[data-contest-id]').dataset.contestId
+      );
+      const contest = upsolveContests.find((c) => c.contestId === contestId);
+      if (!contest) return;
+
+      const { upsolveAction } = button.dataset;
+      if (upsolveAction === 'add-all') {
+        addToPersonalLadder(
+          contest,
+          contest.problems
+            .filter(({ status }) => status !== 'UPSOLVED')
+            .map(({ problem }) => problem)
+        );
+        return;
+      }
+      const { problemId } = button.closest('tr').dataset;
+      if (upsolveAction === 'remove') {
+        removeFromPersonalLadder(problemId);
+      } else {
+        addToPersonalLadder(
+          contest,
+          contest.problems
+            .map(({ problem }) => problem)
+            .filter((problem) => problemIdOf(problem) === problemId)
+        );
+      }
+      // The list was redrawn; keep focus on the row that was used
+      const nextButton = upsolveList.querySelector(
+        `tr[data-problem-id="${problemId}"] button`
+      );
+      if (nextButton) nextButton.focus();
+    });
+  }
+
+  function problemIdOf(problem) {
+    return `${problem.contestId}${problem.index}`;
+  }
+
+  async function loadPersonalLadder(handle) {
+    try {
+      const stored = await dbGet('personal', handle.toLowerCase());
+      if (stored) return new Map(Object.entries(stored.items));
+    } catch (error) {
+      console.warn('Could not load the personal ladder:', error);
+    }
+    return new Map();
+  }
+
+  async function savePersonalLadder() {
+    try {
+      await dbPut('personal', {
+        handle: state.cfHandle.toLowerCase(),
+        items: Object.fromEntries(personalLadder),
+      });
+    } catch (error) {
+      console.warn('Could not save the personal ladder:', error);
+      showToast(
+        'Could not save your personal ladder in this browser.',
+        'error'
+      );
+    }
+  }
+
+  // Ladder entries, as parseLadderRows gives them, for the personal problems
+  // the curated ladder does not already list
+  function getPersonalEntries(curatedIds) {
+    return [...personalLadder.values()]
+      .filter((record) => !curatedIds.has(record.id))
+      .sort((a, b) => a.addedAt - b.addedAt)
+      .map((record, i) => ({
+        id: record.id,
+        section: PERSONAL_SECTION,
+        difficulty: null,
+        note: record.note,
+        order: null,
+        line: i + 1,
+      }));
+  }
+
+  function isCurated(problemId) {
+    return (
+      Boolean(ladderProblems) && ladderProblems.some((e) => e.id === problemId)
+    );
+  }
+
+  function canAddToPersonalLadder(problem) {
+    const problemId = problemIdOf(problem);
+    return (
+      !isGymContest(problem.contestId) &&
+      !personalLadder.has(problemId) &&
+      !isCurated(problemId)
+    );
+  }
+
+  function addToPersonalLadder(contest, problems) {
+    const addedAt = Date.now();
+    const records = problems.filter(canAddToPersonalLadder).map((problem) => ({
+      id: problemIdOf(problem),
+      contestId: problem.contestId,
+      index: problem.index,
+      note: `Upsolve: ${getContestName(contest.contestId)}`,
+      addedAt,
+    }));
+    if (records.length === 0) return;
+
+    records.forEach((record) => personalLadder.set(record.id, record));
+    buildLadderProblems();
+    renderUpsolveView();
+    showToast(
+      `Added ${records.length} problem(s) to your personal ladder.`,
+      'success'
+    );
+    savePersonalLadder();
+  }
+
+  function removeFromPersonalLadder(problemId) {
+    personalLadder.delete(problemId);
+    buildLadderProblems();
+    renderUpsolveView();
+    savePersonalLadder();
+  }
+
+  // Names come from user.rating, so unrated and virtual-only contests fall
+  // back to their id
+  function getContestName(contestId) {
+    const changes =
+      ratingHistory && ratingHistory.handle === state.cfHandle
+        ? ratingHistory.changes || []
+        : [];
+    const change = changes.find((c) => c.contestId === contestId);
+    return change ? change.contestName : `Contest ${contestId}`;
+  }
+
+  function renderUpsolveView() {
+    const summary = document.getElementById('upsolve-summary');
+    upsolveContests = state.cfHandle
+      ? getUpsolveContests(userSubmissions, catalogue || new Map())
+      : [];
+    if (upsolveContests.length === 0) {
+      upsolveMessage.textContent = !state.cfHandle
+        ? 'Enter your CF handle to see the contests you took part in.'
+        : userSubmissions.length === 0
+        ? `No submissions loaded for ${state.cfHandle} yet.`
+        : `No contest entries found for ${state.cfHandle}. Practice submissions do not count.`;
+      summary.innerHTML = '';
+      upsolveList.innerHTML = '';
+      return;
+    }
+    if (!ratingHistory || ratingHistory.handle !== state.cfHandle) {
+      loadRatingHistory(state.cfHandle);
+    }
+
+    const problems = upsolveContests.flatMap((contest) => contest.problems);
+    const upsolved = problems.filter(({ status }) => status === 'UPSOLVED');
+    upsolveMessage.textContent = '';
+    summary.innerHTML = html`
+      <div class="stat-block">
+        <span class="stat-label">Contests</span>
+        <span class="stat-value">${upsolveContests.length}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Left to Upsolve</span>
+        <span class="stat-value status-attempted"
+          >${problems.length - upsolved.length}</span
+        >
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">Upsolved</span>
+        <span class="stat-value status-solved">${upsolved.length}</span>
+      </div>
+      <div class="stat-block">
+        <span class="stat-label">In My Ladder</span>
+        <span class="stat-value">${personalLadder.size}</span>
+      </div>
+    `;
+    upsolveList.innerHTML = html`${upsolveContests.map(renderUpsolveContest)}`;
+  }
+
+  function renderUpsolveContest(contest) {
+    const addable = contest.problems.filter(
+      ({ problem, status }) =>
+        status !== 'UPSOLVED' && canAddToPersonalLadder(problem)
+    );
+    const date = toDayKey(new Date(contest.startTimeSeconds * 1000));
+    return html`<section
+      class="team-section upsolve-contest"
+      data-contest-id="${contest.contestId}"
+    >
+      <div class="team-section-header">
+        <h3>
+          <a
+            href="${getContestUrl(contest.contestId)}"
+            target="_blank"
+            class="problem-link"
+            >${getContestName(contest.contestId)}</a
+          >
+        </h3>
+        <button
+          class="secondary-btn"
+          data-upsolve-action="add-all"
+          ${addable.length === 0 ? html`disabled` : ''}
+        >
+          <i class="fa-solid fa-plus" aria-hidden="true"></i> Add all unsolved
+        </button>
+      </div>
+      <p class="upsolve-meta">
+        ${PARTICIPANT_LABELS[contest.participantType]} · ${date} ·
+        ${contest.solvedCount} solved in contest
+      </p>
+      ${contest.problems.length === 0
+        ? html`<p class="upsolve-meta">
+            Everything was solved in the contest.
+          </p>`
+        : html`<div class="table-container">
+            <table class="problem-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Problem</th>
+                  <th>Rating</th>
+                  <th>Status</th>
+                  <th><span class="sr-only">Personal ladder</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${contest.problems.map(renderUpsolveRow)}
+              </tbody>
+            </table>
+          </div>`}
+    </section>`;
+  }
+
+  function renderUpsolveRow({ problem, status }) {
+    const problemId = problemIdOf(problem);
+    const { label, className } = UPSOLVE_STATUSES[status];
+    return html`<tr data-problem-id="${problemId}">
+      <td class="problem-id">${problemId}</td>
+      <td>
+        <a
+          href="${getContestProblemUrl(problem)}"
+          target="_blank"
+          class="problem-link"
+          >${problem.name}</a
+        >
+      </td>
+      <td>${problem.rating || 'Unrated'}</td>
+      <td class="${className}">${label}</td>
+      <td>${renderUpsolveAction(problem)}</td>
+    </tr>`;
+  }
+
+  function renderUpsolveAction(problem) {
+    const problemId = problemIdOf(problem);
+    if (isCurated(problemId)) {
+      return html`<span class="upsolve-meta">In the ladder</span>`;
+    }
+    if (isGymContest(problem.contestId)) {
+      return html`<span class="upsolve-meta">Gym, not in the problemset</span>`;
+    }
+    if (!personalLadder.has(problemId)) {
+      return html`<button class="secondary-btn" data-upsolve-action="add">
+        <i class="fa-solid fa-plus" aria-hidden="true"></i> Add to my ladder
+      </button>`;
+    }
+    const listed = allProblems.some((p) => problemIdOf(p) === problemId);
+    return html`<button class="secondary-btn" data-upsolve-action="remove">
+        Remove from my ladder
+      </button>
+      ${listed
+        ? ''
+        : html`<span class="upsolve-meta">Listed once it is rated</span>`}`;
+  }
+
+  // --- GOALS & BADGES ---
+  // Goals are kept for the browser, not per handle. Earned badges are saved
+  // per handle with the time they were first seen, so each is announced once.
+  const GOAL_STATUS_LABELS = {
+    complete: 'Complete',
+    'on-track': 'On track',
+    behind: 'Behind pace',
+    overdue: 'Overdue',
+    missing: 'Not in this ladder',
+  };
+
+  function loadGoals() {
+    try {
+      return JSON.parse(localStorage.getItem('cfLadderGoals')) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveGoals(goals) {
+    localStorage.setItem('cfLadderGoals', JSON.stringify(goals));
+  }
+
+  function setupGoals() {
+    const { type } = goalForm.elements;
+    type.innerHTML = html`${Object.entries(GOAL_TYPES).map(
+      ([value, label]) => html`<option value="${value}">${label}</option>`
+    )}`;
+    type.addEventListener('change', updateGoalFields);
+    goalForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      addGoal();
     });
-    renderTagsPieChart(tagCounts);
+    goalsTable.addEventListener('click', (e) => {
+      const button = e.target.closest('.goal-remove-btn');
+      if (!button) return;
+      const { goalId } = button.closest('tr').dataset;
+      saveGoals(loadGoals().filter((goal) => goal.id !== goalId));
+      renderGoals();
+    });
+    updateGoalFields();
+    renderGoals();
+  }
 
-    // 2. Rating Analysis
-    const ratingCounts = {};
-    solvedProblems.forEach((problem) => {
-      if (problem.rating) {
-        ratingCounts[problem.rating] = (ratingCounts[problem.rating] || 0) + 1;
-      }
+  // Only the inputs of the selected goal type are shown
+  function updateGoalFields() {
+    const type = goalForm.elements.type.value;
+    goalForm.querySelectorAll('[data-goal-field]').forEach((field) => {
+      field.classList.toggle('hidden', field.dataset.goalField !== type);
     });
-    renderRatingsBarChart(ratingCounts);
   }
 
-  function renderTagsPieChart(tagData) {
-    if (tagsPieChart) tagsPieChart.destroy();
+  function addGoal() {
+    const { type, rating, tag, deadline, count } = goalForm.elements;
+    const now = Date.now();
+    const goal = { id: `goal-${now}`, type: type.value, createdAt: now };
+    if (goal.type === 'weekly') {
+      goal.count = Number(count.value);
+      if (!Number.isInteger(goal.count) || goal.count < 1) {
+        showToast('Enter how many problems to solve each week.', 'error');
+        return;
+      }
+    } else {
+      if (!rating.value || !deadline.value) {
+        showToast('Pick a rating and the day to finish it by.', 'error');
+        return;
+      }
+      if (deadline.value < toDayKey(new Date())) {
+        showToast('Pick a day to finish by from today on.', 'error');
+        return;
+      }
+      goal.rating = Number(rating.value);
+      goal.tag = tag.value;
+      goal.deadline = deadline.value;
+    }
+    saveGoals([...loadGoals(), goal]);
+    renderGoals();
+    showToast('Goal added.', 'success');
+  }
 
-    const sortedTags = Object.entries(tagData).sort(([, a], [, b]) => b - a);
-    const topTags = sortedTags.slice(0, 10);
-    const otherCount = sortedTags
-      .slice(10)
-      .reduce((sum, [, count]) => sum + count, 0);
-    if (otherCount > 0) topTags.push(['Other', otherCount]);
+  function renderGoalOptions() {
+    const { rating, tag } = goalForm.elements;
+    const [selectedRating, selectedTag] = [rating.value, tag.value];
+    const curated = getCuratedProblems();
+    rating.innerHTML = html`${getRatings(curated).map(
+      (value) => html`<option value="${value}">${value}</option>`
+    )}`;
+    tag.innerHTML = html`<option value="">Any tag</option>
+      ${getTagsByFrequency(curated).map(
+        (value) => html`<option value="${value}">${value}</option>`
+      )}`;
+    rating.value = selectedRating;
+    if (rating.selectedIndex === -1) rating.selectedIndex = 0;
+    tag.value = selectedTag;
+    if (tag.selectedIndex === -1) tag.selectedIndex = 0;
+  }
 
-    tagsPieChart = new Chart(tagsPieChartCanvas, {
-      type: 'pie',
-      data: {
-        labels: topTags.map((item) => item[0]),
-        datasets: [
-          {
-            label: 'Solved Problems by Tag',
-            data: topTags.map((item) => item[1]),
-            backgroundColor: [
-              '#3B82F6',
-              '#10B981',
-              '#F59E0B',
-              '#EF4444',
-              '#8B5CF6',
-              '#EC4899',
-              '#6366F1',
-              '#14B8A6',
-              '#F97316',
-              '#D946EF',
-              '#6B7280',
-            ],
-            borderColor: getComputedStyle(document.body).getPropertyValue(
-              '--bg-secondary'
-            ),
-            borderWidth: 2,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        plugins: {
-          legend: {
-            position: 'top',
-            labels: {
-              color: getComputedStyle(document.body).getPropertyValue(
-                '--text-secondary'
-              ),
-            },
-          },
-        },
-      },
-    });
+  // Progress of every goal against the loaded handle and ladder
+  function renderGoals() {
+    renderGoalOptions();
+    const goals = loadGoals();
+    goalsMessage.textContent =
+      goals.length === 0 ? 'No goals yet. Add one to track it here.' : '';
+    if (goals.length === 0) {
+      goalsTable.innerHTML = '';
+      return;
+    }
+
+    const context = {
+      problems: getCuratedProblems(),
+      statusMap: problemStatusMap,
+      firstSolves: getFirstSolveTimes(userSubmissions),
+      weekStart: startOfWeek(new Date()).getTime(),
+    };
+    goalsTable.innerHTML = html`
+      <thead>
+        <tr>
+          <th>Goal</th>
+          <th>Progress</th>
+          <th>Status</th>
+          <th><span class="sr-only">Actions</span></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${goals.map((goal) => {
+          const { done, total, status } = evaluateGoal(goal, context);
+          const percent = total
+            ? Math.min(100, Math.round((done / total) * 100))
+            : 0;
+          return html`<tr data-goal-id="${goal.id}">
+            <td>${describeGoal(goal)}</td>
+            <td>
+              <div class="progress-bar">
+                <span style="width: ${percent}%"></span>
+              </div>
+              ${done} / ${total}
+            </td>
+            <td class="goal-status goal-${status}">
+              ${GOAL_STATUS_LABELS[status]}
+            </td>
+            <td>
+              <button class="secondary-btn goal-remove-btn">Remove</button>
+            </td>
+          </tr>`;
+        })}
+      </tbody>
+    `;
   }
 
-  function renderRatingsBarChart(ratingData) {
-    if (ratingsBarChart) ratingsBarChart.destroy();
+  function loadEarnedBadges() {
+    try {
+      return JSON.parse(localStorage.getItem('cfLadderBadges')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
 
-    const sortedRatings = Object.entries(ratingData).sort(([a], [b]) => a - b);
+  function renderBadges(handle) {
+    const earned = loadEarnedBadges()[handle.toLowerCase()] || {};
+    return BADGES.map((badge) => {
+      const earnedAt = earned[badge.id];
+      const title = earnedAt
+        ? `${badge.description}. Earned ${toDayKey(new Date(earnedAt))}.`
+        : `${badge.description} to unlock.`;
+      return html`<li
+        class="badge ${earnedAt ? 'earned' : 'locked'}"
+        title="${title}"
+      >
+        <i class="fa-solid ${badge.icon}" aria-hidden="true"></i>
+        ${badge.name}
+        <span class="sr-only">${earnedAt ? '(earned)' : '(locked)'}</span>
+      </li>`;
+    });
+  }
 
-    ratingsBarChart = new Chart(ratingsBarChartCanvas, {
-      type: 'bar',
-      data: {
-        labels: sortedRatings.map((item) => item[0]),
-        datasets: [
-          {
-            label: 'Solved Count',
-            data: sortedRatings.map((item) => item[1]),
-            backgroundColor: getComputedStyle(document.body).getPropertyValue(
-              '--accent-primary'
-            ),
-            borderColor: getComputedStyle(document.body).getPropertyValue(
-              '--accent-primary'
-            ),
-            borderWidth: 1,
-            borderRadius: 4,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        plugins: { legend: { display: false } },
-        scales: {
-          y: {
-            beginAtZero: true,
-            ticks: {
-              color: getComputedStyle(document.body).getPropertyValue(
-                '--text-secondary'
-              ),
-            },
-            grid: {
-              color: getComputedStyle(document.body).getPropertyValue(
-                '--border-color'
-              ),
-            },
-          },
-          x: {
-            ticks: {
-              color: getComputedStyle(document.body).getPropertyValue(
-                '--text-secondary'
-              ),
-            },
-            grid: { display: false },
-          },
-        },
-      },
+  // Runs once a handle has fully loaded and after each sync. The first check
+  // of a handle only records the badges it already has, so a returning user
+  // is not greeted with a toast for every old achievement.
+  function updateBadges() {
+    if (!currentUserInfo || allProblems.length === 0) return;
+    const handle = currentUserInfo.handle.toLowerCase();
+
+    const curated = getCuratedProblems();
+    const firstSolves = getFirstSolveTimes(userSubmissions);
+    // The same days as the streaks in the Activity section
+    const activeDays = new Set(
+      userSubmissions
+        .filter((sub) => sub.verdict === 'OK')
+        .map((sub) => toDayKey(new Date(sub.creationTimeSeconds * 1000)))
+    );
+    const earnedIds = getEarnedBadges({
+      solvedCount: curated.filter(
+        (p) => problemStatusMap.get(`${p.contestId}${p.index}`) === 'SOLVED'
+      ).length,
+      clearedBuckets: getBucketCompletions(curated, firstSolves).length,
+      longestStreak: getStreaks(activeDays).longest,
     });
+
+    const saved = loadEarnedBadges();
+    const firstCheck = !saved[handle];
+    const earned = saved[handle] || {};
+    const fresh = earnedIds.filter((id) => !earned[id]);
+    if (!firstCheck && fresh.length === 0) return;
+
+    fresh.forEach((id) => (earned[id] = Date.now()));
+    saved[handle] = earned;
+    localStorage.setItem('cfLadderBadges', JSON.stringify(saved));
+    if (!firstCheck) {
+      fresh.forEach((id) => {
+        const badge = BADGES.find((b) => b.id === id);
+        showToast(`Badge unlocked: ${badge.name}! 🏅`, 'success');
+      });
+    }
+    renderProfileInfo(currentUserInfo);
   }
 
   // --- EVENT LISTENERS ---
   function setupEventListeners() {
     ratingNav.addEventListener('click', (e) => {
-      if (e.target.classList.contains('rating-btn')) {
-        const newRating = Number(e.target.dataset.rating);
+      const button = e.target.closest('.rating-btn');
+      if (!button) return;
+      const value = button.dataset.rating;
+      const newRating = value === 'all' ? 'all' : Number(value);
+
+      if (
+        e.shiftKey &&
+        typeof state.selectedRating === 'number' &&
+        newRating !== 'all' &&
+        newRating !== state.selectedRating
+      ) {
+        // Extend from the low end of the current selection
+        const low = state.selectedRating;
+        state.selectedRating = Math.min(low, newRating);
+        state.ratingMax = Math.max(low, newRating);
+      } else {
         state.selectedRating =
-          state.selectedRating === newRating ? null : newRating;
-        document
-          .querySelectorAll('.rating-btn')
-          .forEach((btn) => btn.classList.remove('active'));
-        if (state.selectedRating) e.target.classList.add('active');
-        applyFiltersAndRender();
+          state.selectedRating === newRating && !state.ratingMax
+            ? null
+            : newRating;
+        state.ratingMax = null;
       }
+      state.page = 1;
+      renderRatingNav();
+      refocusButton(ratingNav, 'rating', value);
+      renderTags();
+      applyFiltersAndRender();
+      updateUrl();
+    });
+
+    ladderSelect.addEventListener('change', () => {
+      selectLadder(ladderSelect.value);
+      updateUrl();
     });
 
     searchBtn.addEventListener('click', fetchUserStatus);
+    syncBtn.addEventListener('click', () => refreshSubmissions());
     handleInput.addEventListener('keyup', (e) => {
       if (e.key === 'Enter') fetchUserStatus();
     });
 
+    problemTable.classList.toggle('show-attempts', state.showAttempts);
+    attemptsToggle.checked = state.showAttempts;
+    attemptsToggle.addEventListener('change', () => {
+      state.showAttempts = attemptsToggle.checked;
+      localStorage.setItem('cfLadderShowAttempts', state.showAttempts);
+      problemTable.classList.toggle('show-attempts', state.showAttempts);
+    });
+
+    recommendToggle.addEventListener('change', () => {
+      state.recommendMode = recommendToggle.checked;
+      recommendPanel.classList.toggle('hidden', !state.recommendMode);
+      tableContainer.classList.toggle('hidden', state.recommendMode);
+      recommendToggle.setAttribute('aria-expanded', state.recommendMode);
+      applyFiltersAndRender();
+    });
+
+    recommendPanel.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const prefs = loadRecommendPrefs();
+      const problemId = button.dataset.problem;
+      if (button.dataset.action === 'skip') {
+        prefs.skipped[problemId] = true;
+      } else if (button.dataset.action === 'snooze') {
+        prefs.snoozed[problemId] = Date.now() + SNOOZE_DAYS * 864e5;
+      } else if (button.dataset.action === 'reset') {
+        prefs.skipped = {};
+        prefs.snoozed = {};
+      }
+      localStorage.setItem('cfLadderRecommendPrefs', JSON.stringify(prefs));
+      renderRecommendations();
+    });
+
+    let searchTimer = null;
+    problemSearch.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        state.searchQuery = problemSearch.value.trim();
+        state.page = 1;
+        applyFiltersAndRender();
+        updateUrl({ replace: true });
+      }, 200);
+    });
+
+    hideSolvedToggle.addEventListener('change', () => {
+      state.hideSolved = hideSolvedToggle.checked;
+      state.page = 1;
+      applyFiltersAndRender();
+      updateUrl();
+    });
+
+    onlyAttemptedToggle.addEventListener('change', () => {
+      state.onlyAttempted = onlyAttemptedToggle.checked;
+      state.page = 1;
+      applyFiltersAndRender();
+      updateUrl();
+    });
+
+    // Header clicks cycle ascending -> descending -> curated order
+    problemTable.querySelector('thead').addEventListener('click', (e) => {
+      const header = e.target.closest('th[data-sort]');
+      if (!header) return;
+      const key = header.dataset.sort;
+      if (state.sortKey !== key) {
+        state.sortKey = key;
+        state.sortDir = 'asc';
+      } else if (state.sortDir === 'asc') {
+        state.sortDir = 'desc';
+      } else {
+        state.sortKey = null;
+      }
+      state.page = 1;
+      applyFiltersAndRender();
+      updateUrl();
+    });
+
+    pagination.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-page]');
+      if (!button || button.disabled) return;
+      state.page = Number(button.dataset.page);
+      applyFiltersAndRender();
+      updateUrl();
+      tableContainer.scrollIntoView({ block: 'start' });
+    });
+
     tagsToggle.addEventListener('change', () => {
-      tagsContainer.classList.toggle('hidden');
-      logicToggleGroup.classList.toggle('hidden');
-      logicToggleGroup.style.display = tagsToggle.checked ? 'flex' : 'none';
+      tagsContainer.classList.toggle('hidden', !tagsToggle.checked);
+      logicToggleGroup.classList.toggle('hidden', !tagsToggle.checked);
+      tagsToggle.setAttribute('aria-expanded', tagsToggle.checked);
     });
 
     logicToggle.addEventListener('change', () => {
       state.tagLogic = logicToggle.checked ? 'AND' : 'OR';
       logicLabel.textContent = `Filter Logic: ${state.tagLogic}`;
+      state.page = 1;
       applyFiltersAndRender();
+      updateUrl();
     });
 
+    document
+      .getElementById('export-csv-btn')
+      .addEventListener('click', () => exportLadderStatus('csv'));
+    document
+      .getElementById('export-json-btn')
+      .addEventListener('click', () => exportLadderStatus('json'));
+    document
+      .getElementById('print-report-btn')
+      .addEventListener('click', printReport);
+
     tagsContainer.addEventListener('click', (e) => {
-      if (e.target.classList.contains('tag-btn')) {
-        const tag = e.target.dataset.tag;
-        if (state.selectedTags.has(tag)) {
-          state.selectedTags.delete(tag);
-          e.target.classList.remove('active');
-        } else {
-          state.selectedTags.add(tag);
-          e.target.classList.add('active');
-        }
-        applyFiltersAndRender();
+      const button = e.target.closest('.tag-btn');
+      if (!button) return;
+      const tag = button.dataset.tag;
+      if (state.selectedTags.has(tag)) {
+        state.selectedTags.delete(tag);
+        state.excludedTags.add(tag);
+      } else if (state.excludedTags.has(tag)) {
+        state.excludedTags.delete(tag);
+      } else {
+        state.selectedTags.add(tag);
       }
+      state.page = 1;
+      renderTags();
+      refocusButton(tagsContainer, 'tag', tag);
+      applyFiltersAndRender();
+      updateUrl();
     });
   }
 
-  // --- MODALS & HELPERS ---
-  function setupModals() {
-    // Banner Logic
-    const bannerContainer = document.getElementById('countdown-banner');
-    if (bannerContainer) {
-      const registrationEndDate = '2025-10-28T00:00:00';
-      const daysEl = document.getElementById('days'),
-        hoursEl = document.getElementById('hours');
-      const minutesEl = document.getElementById('minutes'),
-        secondsEl = document.getElementById('seconds');
-      const closeButton = document.getElementById('banner-close'),
-        ctaButton = document.getElementById('banner-cta');
-      const expiredText = document.getElementById('banner-expired-text'),
-        timerContainer = document.getElementById('timer-container');
-      let countdownInterval;
-
-      function updateCountdown() {
-        const diff = new Date(registrationEndDate) - new Date();
+  // --- PROGRESS EXPORT & PRINTABLE REPORT ---
+  function getLadderStatusRows() {
+    const firstSolves = getFirstSolveTimes(userSubmissions);
+    return allProblems.map((p) => {
+      const problemId = `${p.contestId}${p.index}`;
+      const status = problemStatusMap.get(problemId);
+      const stats = problemAttemptMap.get(problemId);
+      return {
+        id: problemId,
+        name: p.name,
+        rating: p.rating,
+        tags: p.tags,
+        status:
+          status === 'SOLVED'
+            ? 'Solved'
+            : status === 'ATTEMPTED'
+            ? 'Attempted'
+            : 'Unsolved',
+        firstAcTime: firstSolves.has(problemId)
+          ? new Date(firstSolves.get(problemId) * 1000).toISOString()
+          : '',
+        attempts: stats ? stats.attempts : 0,
+      };
+    });
+  }
+
+  function getExportFileName(extension) {
+    return `${state.cfHandle}-${state.ladderId}-${toDayKey(
+      new Date()
+    )}.${extension}`;
+  }
+
+  function exportLadderStatus(format) {
+    if (!state.cfHandle || allProblems.length === 0) {
+      showToast('Load a handle first to export its progress.', 'error');
+      return;
+    }
+    const rows = getLadderStatusRows();
+    if (format === 'csv') {
+      const csv = Papa.unparse(
+        rows.map((row) => ({ ...row, tags: row.tags.join(';') }))
+      );
+      downloadFile(getExportFileName('csv'), csv, 'text/csv');
+      return;
+    }
+    const payload = {
+      handle: state.cfHandle,
+      ladder: state.ladderId,
+      exportedAt: new Date().toISOString(),
+      problems: rows,
+    };
+    downloadFile(
+      getExportFileName('json'),
+      JSON.stringify(payload, null, 2),
+      'application/json'
+    );
+  }
+
+  // Shows the analytics view with only the profile card and the two main
+  // charts (see the print styles), then opens the browser's print dialog.
+  function printReport() {
+    if (!state.cfHandle || userSubmissions.length === 0) {
+      showToast('Load a handle first to print its report.', 'error');
+      return;
+    }
+    switchView('analytics');
+    updateUrl();
+
+    const rows = getLadderStatusRows();
+    const solved = rows.filter((row) => row.status === 'Solved').length;
+    const ladder = ladders.find((l) => l.id === state.ladderId);
+    document.getElementById('report-header').innerHTML = html`
+      <h1>Progress Report: ${state.cfHandle}</h1>
+      <p>
+        ${ladder ? ladder.name : 'Ladder'} · ${solved}/${rows.length} problems
+        solved · ${new Date().toLocaleDateString()}
+      </p>
+    `;
+
+    document.body.classList.add('print-report');
+    window.addEventListener(
+      'afterprint',
+      () => document.body.classList.remove('print-report'),
+      { once: true }
+    );
+    // Give Chart.js a moment to lay out the freshly shown canvases
+    setTimeout(() => window.print(), 300);
+  }
+
+  // --- ANNOUNCEMENTS & CONTEST BANNERS ---
+  // Club announcements come from announcements.json, upcoming rounds from
+  // contest.list. Each item: { id, title, subtitle, date, url, cta,
+  // expiredText?, durationMinutes? } where date is what the timer counts to.
+  const MAX_BANNERS = 3;
+  const CONTEST_LIST_TTL_MS = 60 * 60 * 1000;
+  const CONTEST_HORIZON_DAYS = 14;
+  let bannerItems = [];
+  let bannerTimer = null;
+
+  async function setupBanners() {
+    const bannerArea = document.getElementById('banner-area');
+    bannerArea.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-banner-action]');
+      if (!button) return;
+      const item = bannerItems.find(
+        (entry) =>
+          entry.id === button.closest('[data-banner-id]').dataset.bannerId
+      );
+      if (!item) return;
+      if (button.dataset.bannerAction === 'dismiss') {
+        dismissBanner(item.id);
+      } else {
+        downloadIcs(item);
+      }
+    });
+
+    const [announcements, contests] = await Promise.all([
+      loadAnnouncements(),
+      loadUpcomingContests(),
+    ]);
+    bannerItems = [...announcements, ...contests]
+      .filter((item) => item.date > Date.now() || item.expiredText)
+      .sort((a, b) => a.date - b.date);
+    renderBanners();
+  }
+
+  async function loadAnnouncements() {
+    try {
+      const response = await fetch('announcements.json');
+      if (!response.ok) throw new Error(response.statusText);
+      const items = await response.json();
+      return items
+        .map((item) => ({ ...item, date: new Date(item.date).getTime() }))
+        .filter((item) => item.id && item.title && !isNaN(item.date))
+        .filter(
+          // Expired notices linger for a day so the closed state is seen
+          (item) => item.date > Date.now() - 864e5
+        );
+    } catch (error) {
+      console.warn('Could not load announcements:', error);
+      return [];
+    }
+  }
+
+  // contest.list is large, so the upcoming rounds are cached for an hour
+  async function loadUpcomingContests() {
+    let cached = null;
+    try {
+      cached = await dbGet('meta', 'upcomingContests');
+    } catch (error) {
+      cached = null;
+    }
+
+    let contests = cached ? cached.contests : [];
+    if (!cached || Date.now() - cached.fetchedAt > CONTEST_LIST_TTL_MS) {
+      try {
+        const result = await cfApi.call(
+          'contest.list',
+          { gym: false },
+          { background: true }
+        );
+        contests = result
+          .filter((contest) => contest.phase === 'BEFORE')
+          .map((contest) => ({
+            id: contest.id,
+            name: contest.name,
+            startTimeSeconds: contest.startTimeSeconds,
+            durationSeconds: contest.durationSeconds,
+          }));
+        dbPut('meta', {
+          key: 'upcomingContests',
+          contests,
+          fetchedAt: Date.now(),
+        }).catch((error) =>
+          console.warn('Could not cache the contest list:', error)
+        );
+      } catch (error) {
+        console.warn('Could not load upcoming contests:', error);
+      }
+    }
+
+    const horizon = Date.now() + CONTEST_HORIZON_DAYS * 864e5;
+    return contests
+      .filter(
+        (contest) =>
+          contest.startTimeSeconds * 1000 > Date.now() &&
+          contest.startTimeSeconds * 1000 < horizon
+      )
+      .map((contest) => ({
+        id: `cf-${contest.id}`,
+        title: contest.name,
+        subtitle: `Starts ${new Date(
+          contest.startTimeSeconds * 1000
+        ).toLocaleString()} · ${
+          Math.round(contest.durationSeconds / 360) / 10
+        } hours`,
+        date: contest.startTimeSeconds * 1000,
+        durationMinutes: contest.durationSeconds / 60,
+        url: `https://codeforces.com/contests/${contest.id}`,
+        cta: 'Register',
+      }));
+  }
+
+  function loadDismissedBanners() {
+    try {
+      return JSON.parse(localStorage.getItem('cfLadderDismissedBanners')) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function dismissBanner(id) {
+    // Only ids that can still show up are kept, so the list stays small
+    const liveIds = new Set(bannerItems.map((item) => item.id));
+    const dismissed = loadDismissedBanners().filter((entry) =>
+      liveIds.has(entry)
+    );
+    dismissed.push(id);
+    localStorage.setItem('cfLadderDismissedBanners', JSON.stringify(dismissed));
+    renderBanners();
+  }
+
+  function renderBanners() {
+    const bannerArea = document.getElementById('banner-area');
+    const dismissed = new Set(loadDismissedBanners());
+    const visible = bannerItems
+      .filter((item) => !dismissed.has(item.id))
+      .slice(0, MAX_BANNERS);
+
+    clearInterval(bannerTimer);
+    bannerArea.innerHTML = html`${visible.map(renderBanner)}`;
+    if (visible.length === 0) return;
+    updateBannerCountdowns();
+    bannerTimer = setInterval(updateBannerCountdowns, 1000);
+  }
+
+  function renderBanner(item) {
+    const timeBlock = (unit, label) => html` <div class="time-block">
+      <span class="time-value" data-unit="${unit}">00</span
+      ><span class="time-label">${label}</span>
+    </div>`;
+    return html` <div
+      class="countdown-banner-container"
+      data-banner-id="${item.id}"
+    >
+      <div class="shooting-stars">
+        <span></span><span></span><span></span><span></span><span></span>
+      </div>
+      <div class="countdown-banner-content">
+        <div class="banner-info">
+          <div class="banner-text-content">
+            <span class="banner-main-text">${item.title}</span>
+            ${item.subtitle
+              ? html`<p class="banner-subtext">${item.subtitle}</p>`
+              : ''}
+          </div>
+          <div class="timer-container">
+            ${timeBlock('days', 'Days')}${timeBlock(
+              'hours',
+              'Hours'
+            )}${timeBlock('minutes', 'Minutes')}${timeBlock(
+              'seconds',
+              'Seconds'
+            )}
+          </div>
+          <span class="banner-expired-text"
+            >${item.expiredText || 'Started!'}</span
+          >
+        </div>
+        <div class="banner-actions">
+          ${item.url
+            ? html`<a
+                href="${safeUrl(item.url)}"
+                target="_blank"
+                class="banner-cta-button"
+                rel="noopener"
+                >${item.cta || 'Open'}</a
+              >`
+            : ''}
+          <button
+            class="banner-ics-btn"
+            data-banner-action="ics"
+            title="Add to calendar (.ics)"
+          >
+            <i class="fa-regular fa-calendar-plus"></i>
+          </button>
+          <button
+            class="banner-close-btn"
+            data-banner-action="dismiss"
+            aria-label="Dismiss"
+            title="Dismiss"
+          >
+            &times;
+          </button>
+        </div>
+      </div>
+    </div>`;
+  }
+
+  function updateBannerCountdowns() {
+    document
+      .querySelectorAll('#banner-area [data-banner-id]')
+      .forEach((banner) => {
+        const item = bannerItems.find(
+          (entry) => entry.id === banner.dataset.bannerId
+        );
+        const diff = item.date - Date.now();
         if (diff <= 0) {
-          clearInterval(countdownInterval);
-          timerContainer.style.display = 'none';
-          expiredText.style.display = 'block';
-          if (ctaButton) {
-            ctaButton.textContent = 'Closed';
-            ctaButton.style.pointerEvents = 'none';
-            ctaButton.style.opacity = '0.6';
+          banner.querySelector('.timer-container').style.display = 'none';
+          banner.querySelector('.banner-expired-text').style.display = 'block';
+          const cta = banner.querySelector('.banner-cta-button');
+          if (cta && item.expiredText) {
+            cta.textContent = 'Closed';
+            cta.style.pointerEvents = 'none';
+            cta.style.opacity = '0.6';
           }
           return;
         }
         const f = (t) => (t < 10 ? '0' + t : t);
-        daysEl.textContent = f(Math.floor(diff / 864e5));
-        hoursEl.textContent = f(Math.floor((diff % 864e5) / 36e5));
-        minutesEl.textContent = f(Math.floor((diff % 36e5) / 6e4));
-        secondsEl.textContent = f(Math.floor((diff % 6e4) / 1e3));
-      }
-      countdownInterval = setInterval(updateCountdown, 1000);
-      updateCountdown();
-      closeButton.onclick = () => {
-        bannerContainer.style.display = 'none';
-        clearInterval(countdownInterval);
-      };
+        const values = {
+          days: Math.floor(diff / 864e5),
+          hours: Math.floor((diff % 864e5) / 36e5),
+          minutes: Math.floor((diff % 36e5) / 6e4),
+          seconds: Math.floor((diff % 6e4) / 1e3),
+        };
+        banner.querySelectorAll('.time-value').forEach((el) => {
+          el.textContent = f(values[el.dataset.unit]);
+        });
+      });
+  }
+
+  function toIcsDate(time) {
+    return (
+      new Date(time).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z'
+    );
+  }
+
+  function escapeIcsText(text) {
+    return String(text)
+      .replace(/([\\;,])/g, '\\$1')
+      .replace(/\n/g, '\\n');
+  }
+
+  function downloadIcs(item) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//IIUCCPS Ladder//Contest Calendar//EN',
+      'BEGIN:VEVENT',
+      `UID:${item.id}@iiuccps-ladder`,
+      `DTSTAMP:${toIcsDate(Date.now())}`,
+      `DTSTART:${toIcsDate(item.date)}`,
+      `DTEND:${toIcsDate(item.date + (item.durationMinutes || 60) * 6e4)}`,
+      `SUMMARY:${escapeIcsText(item.title)}`,
+      item.url ? `URL:${item.url}` : '',
+      item.subtitle ? `DESCRIPTION:${escapeIcsText(item.subtitle)}` : '',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].filter(Boolean);
+
+    downloadFile(`${item.id}.ics`, lines.join('\r\n'), 'text/calendar');
+  }
+
+  // --- KEYBOARD SHORTCUTS ---
+  // Single keys, ignored while typing or while a modal is open. Keep the list
+  // in #shortcuts-modal in sync.
+  const SHORTCUTS = {
+    '/': focusHandleSearch,
+    '[': () => stepRating(-1),
+    ']': () => stepRating(1),
+    j: () => moveRowFocus(1),
+    k: () => moveRowFocus(-1),
+    '?': () => openModal(document.getElementById('shortcuts-modal')),
+  };
+
+  function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (getOpenModal() || !(e.target instanceof Element)) return;
+
+      // Sortable headers act as buttons, focused rows as links
+      const header = e.target.closest('th[data-sort]');
+      if (header && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        header.click();
+        return;
+      }
+      if (e.key === 'Enter' && e.target.matches('tr[data-problem-id]')) {
+        e.target.querySelector('.problem-link').click();
+        return;
+      }
+
+      const action = SHORTCUTS[e.key];
+      if (!action || isEditableElement(e.target)) return;
+      e.preventDefault();
+      action();
+    });
+  }
+
+  function isEditableElement(element) {
+    if (element.isContentEditable) return true;
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+      return true;
+    }
+    return (
+      element.tagName === 'INPUT' &&
+      !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type)
+    );
+  }
+
+  function focusHandleSearch() {
+    if (state.view !== 'problems') {
+      switchView('problems');
+      updateUrl();
     }
+    handleInput.focus();
+    handleInput.select();
+  }
+
+  // Moves through the ladder's ratings one button at a time
+  function stepRating(direction) {
+    if (state.view !== 'problems') return;
+    const buttons = [
+      ...ratingNav.querySelectorAll('.rating-btn:not([data-rating="all"])'),
+    ];
+    const current = buttons.findIndex(
+      (b) => Number(b.dataset.rating) === state.selectedRating
+    );
+    const next =
+      current === -1
+        ? direction > 0
+          ? 0
+          : buttons.length - 1
+        : current + direction;
+    if (buttons[next]) buttons[next].click();
+  }
+
+  function findProblemRow(problemId) {
+    return tableBody.querySelector(`tr[data-problem-id="${problemId}"]`);
+  }
+
+  function moveRowFocus(direction) {
+    if (state.view !== 'problems' || state.recommendMode) return;
+    const rows = [...tableBody.querySelectorAll('tr[data-problem-id]')];
+    if (rows.length === 0) return;
+    const current = rows.indexOf(
+      document.activeElement.closest('tr[data-problem-id]')
+    );
+    const next =
+      current === -1
+        ? direction > 0
+          ? 0
+          : rows.length - 1
+        : Math.min(Math.max(current + direction, 0), rows.length - 1);
+    rows[next].focus();
+  }
 
+  // --- MODALS & HELPERS ---
+  function setupModals() {
     // Generic Modal Logic
     const modalTriggers = {
       'about-us-link': 'about-modal',
       'contact-link': 'contact-modal',
+      'settings-btn': 'settings-modal',
+      'shortcuts-btn': 'shortcuts-modal',
     };
     Object.entries(modalTriggers).forEach(([triggerId, modalId]) => {
       const trigger = document.getElementById(triggerId);
@@ -617,22 +4891,33 @@ document.addEventListener('DOMContentLoaded', () => {
       if (trigger && modal) {
         trigger.addEventListener('click', (e) => {
           e.preventDefault();
-          modal.classList.remove('hidden');
+          openModal(modal);
         });
         modal.addEventListener('click', (e) => {
-          if (
-            e.target === modal ||
-            e.target.classList.contains('modal-close-btn')
-          )
-            modal.classList.add('hidden');
+          if (e.target === modal || e.target.closest('.modal-close-btn'))
+            closeModal(modal);
         });
       }
     });
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape')
-        document
-          .querySelectorAll('.modal-overlay')
-          .forEach((m) => m.classList.add('hidden'));
+      const modal = getOpenModal();
+      if (!modal) return;
+      if (e.key === 'Escape') closeModal(modal);
+      if (e.key === 'Tab') trapFocus(modal, e);
+    });
+
+    // Settings Form Logic
+    const settingsForm = document.getElementById('settings-form');
+    const apiBaseInput = document.getElementById('api-base-input');
+    apiBaseInput.value = localStorage.getItem('cfLadderApiBase') || '';
+    settingsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const apiBase = apiBaseInput.value.trim().replace(/\/+$/, '');
+      if (apiBase) localStorage.setItem('cfLadderApiBase', apiBase);
+      else localStorage.removeItem('cfLadderApiBase');
+      cfApi.setBaseUrl(getConfiguredBaseUrl());
+      closeModal(document.getElementById('settings-modal'));
+      showToast(`Using ${cfApi.getBaseUrl()}`);
     });
 
     // Contact Form Logic
@@ -677,28 +4962,89 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Focus moves into an open modal, stays there and returns to the control
+  // that opened it
+  function openModal(modal, focusTarget) {
+    modalReturnFocus = document.activeElement;
+    modal.classList.remove('hidden');
+    (focusTarget || modal.querySelector(FOCUSABLE_SELECTOR)).focus();
+  }
+
+  function closeModal(modal) {
+    if (modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    const target = modalReturnFocus;
+    modalReturnFocus = null;
+    if (!target || !target.focus) return;
+    if (document.contains(target)) {
+      target.focus();
+      return;
+    }
+    // Saving a note re-renders the table; fall back to the problem's row
+    const oldRow = target.closest('tr[data-problem-id]');
+    const row = oldRow && findProblemRow(oldRow.dataset.problemId);
+    if (row) row.focus();
+  }
+
+  function getOpenModal() {
+    return document.querySelector('.modal-overlay:not(.hidden)');
+  }
+
+  // Tab and Shift+Tab wrap around inside the modal
+  function trapFocus(modal, e) {
+    const focusable = [...modal.querySelectorAll(FOCUSABLE_SELECTOR)];
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!modal.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Re-rendering replaces the clicked button; give focus to its new copy
+  function refocusButton(container, key, value) {
+    const button = [...container.querySelectorAll('button')].find(
+      (b) => b.dataset[key] === value
+    );
+    if (button) button.focus();
+  }
+
+  function formatTimeAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 6e4);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} day(s) ago`;
+  }
+
   function updateStatus(message) {
     statusMessage.textContent = message;
   }
 
+  // Toasts live in #toast-region, a polite live region; errors use role
+  // "alert" so they are announced right away
   function showToast(message, type = 'success') {
     const toast = document.createElement('div');
     toast.textContent = message;
+    if (type !== 'success') toast.setAttribute('role', 'alert');
     Object.assign(toast.style, {
-      position: 'fixed',
-      left: '50%',
-      top: '20px',
-      transform: 'translateX(-50%)',
       background: type === 'success' ? '#28a745' : '#dc3545',
       color: '#fff',
       padding: '10px 14px',
       borderRadius: '6px',
       boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
-      zIndex: 9999,
       opacity: '0',
       transition: 'opacity 240ms ease-in-out',
     });
-    document.body.appendChild(toast);
+    toastRegion.appendChild(toast);
     requestAnimationFrame(() => (toast.style.opacity = '1'));
     setTimeout(() => {
       toast.style.opacity = '0';
@@ -712,6 +5058,7 @@ document.addEventListener('DOMContentLoaded', () => {
     localStorage.setItem('cfLadderHandle', state.cfHandle);
   }
   function loadStateFromLocalStorage() {
+    if (state.cfHandle) return; // A handle from the URL is already loading
     const savedHandle = localStorage.getItem('cfLadderHandle');
     if (savedHandle) {
       handleInput.value = savedHandle;
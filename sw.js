@@ -0,0 +1,102 @@
+// Service worker: keeps the app shell available offline. Codeforces API
+// responses are not cached here, the page keeps those in IndexedDB.
+const CACHE_NAME = 'iiuccps-ladder-v12';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'curator.html',
+  'curator.js',
+  'lib/cf-api.js',
+  'lib/ladder.js',
+  'lib/submissions.js',
+  'lib/filters.js',
+  'lib/analytics.js',
+  'lib/db.js',
+  'lib/html.js',
+  'lib/theme.js',
+  'lib/goals.js',
+  'lib/upsolve.js',
+  'lib/practice.js',
+  'lib/download.js',
+  'lib/review.js',
+  'ladders.json',
+  'announcements.json',
+  'problems.csv',
+  'logo.png',
+  'vendor/papaparse.min.js',
+  'vendor/chart.umd.min.js',
+];
+
+// Fonts and icons are fetched from CDNs and cached on first use
+const CDN_HOSTS = [
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+  'cdnjs.cloudflare.com',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// Same-origin files: prefer fresh copies so ladder edits show up at once
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
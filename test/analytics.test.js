@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  countByRating,
+  countByTag,
+  countSolvesBeforeContests,
+  getBucketCompletions,
+  getRatings,
+  getSolvedProblems,
+  getTagsByFrequency,
+} from '../lib/analytics.js';
+import { loadFixture } from './helpers/app.js';
+
+const submissions = loadFixture('user.status.json').result;
+const { problems } = loadFixture('problemset.problems.json').result;
+
+test('rating counts skip unrated problems', () => {
+  const tags = countByTag(problems);
+
+  assert.equal(tags.greedy, 4);
+  assert.equal(tags.implementation, 4);
+  assert.deepEqual(countByRating(problems), {
+    800: 3,
+    1100: 1,
+    1200: 2,
+    1500: 1,
+  });
+});
+
+test('ratings are distinct and tags are ordered by frequency', () => {
+  assert.deepEqual(
+    getRatings(problems.filter((p) => p.rating)),
+    [800, 1100, 1200, 1500]
+  );
+  // Ties are broken alphabetically
+  assert.deepEqual(getTagsByFrequency(problems).slice(0, 3), [
+    'greedy',
+    'implementation',
+    'brute force',
+  ]);
+});
+
+test('getSolvedProblems counts each accepted problem once', () => {
+  const solved = getSolvedProblems(submissions);
+
+  assert.deepEqual([...solved.keys()].sort(), ['1352C', '4A', '71A']);
+});
+
+test('getSolvedProblems can be limited to ladder problems', () => {
+  const ladderById = new Map([['4A', { id: '4A', rating: 900 }]]);
+  const solved = getSolvedProblems(submissions, ladderById);
+
+  assert.deepEqual([...solved.keys()], ['4A']);
+  assert.equal(solved.get('4A').rating, 900);
+});
+
+test('getBucketCompletions lists fully solved ratings by finish time', () => {
+  const ladder = [
+    { contestId: 4, index: 'A', rating: 800 },
+    { contestId: 71, index: 'A', rating: 800 },
+    { contestId: 1352, index: 'C', rating: 1200 },
+    { contestId: 1, index: 'A', rating: 1000 },
+  ];
+  const firstSolves = new Map([
+    ['4A', 300],
+    ['71A', 100],
+    ['1352C', 200],
+  ]);
+
+  assert.deepEqual(getBucketCompletions(ladder, firstSolves), [
+    { rating: 1200, completedAt: 200 },
+    { rating: 800, completedAt: 300 },
+  ]);
+});
+
+test('countSolvesBeforeContests splits the window before each change', () => {
+  const day = 86400;
+  const changes = [
+    {
+      contestId: 1,
+      oldRating: 0,
+      newRating: 1100,
+      ratingUpdateTimeSeconds: 40 * day,
+    },
+    {
+      contestId: 2,
+      oldRating: 1100,
+      newRating: 1050,
+      ratingUpdateTimeSeconds: 50 * day,
+    },
+  ];
+  const firstSolves = new Map([
+    ['4A', 5 * day], // Too early for both
+    ['71A', 10 * day], // Exactly 30 days before the first
+    ['1352C', 45 * day],
+    ['1B', 50 * day], // Same second as the second change, so after it
+  ]);
+  const ladderIds = new Set(['4A', '71A', '1352C']);
+
+  const [first, second] = countSolvesBeforeContests(
+    changes,
+    firstSolves,
+    ladderIds
+  );
+
+  assert.deepEqual([first.delta, first.ladder, first.other], [1100, 1, 0]);
+  assert.deepEqual([second.delta, second.ladder, second.other], [-50, 1, 0]);
+  assert.equal(
+    countSolvesBeforeContests(changes, firstSolves, ladderIds, 60)[1].ladder,
+    3
+  );
+});
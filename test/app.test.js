@@ -0,0 +1,599 @@
+// End-to-end checks of the problem table against the mocked API. The real
+// request queue is used, so each test takes a few seconds.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture, readFixture, startApp, waitFor } from './helpers/app.js';
+
+const api = {
+  'problemset.problems': loadFixture('problemset.problems.json'),
+  'user.info': (params) =>
+    params.handles === 'alice'
+      ? loadFixture('user.info.json')
+      : loadFixture('user.info.not-found.json'),
+  'user.status': loadFixture('user.status.json'),
+  'user.rating': loadFixture('user.rating.json'),
+  'contest.list': { status: 'OK', result: [] },
+};
+const files = {
+  'ladders.json': loadFixture('ladders.json'),
+  'ladder.csv': readFixture('ladder.csv'),
+  'announcements.json': [],
+};
+
+function start(search) {
+  return startApp({ url: `http://localhost/${search}`, api, files });
+}
+
+// Problem id -> text of its status cell
+function statusCells(app) {
+  return Object.fromEntries(
+    app
+      .$$('#problem-table-body tr[data-problem-id]')
+      .map((row) => [row.dataset.problemId, row.cells[6].textContent.trim()])
+  );
+}
+
+test('loading a handle marks solved and attempted problems', async (t) => {
+  const app = await start('?handle=alice&rating=all');
+  t.after(() => app.close());
+
+  await waitFor(
+    () =>
+      app.apiCalls.some((call) => call.method === 'user.status') &&
+      Object.keys(statusCells(app)).length > 0
+  );
+  const cells = statusCells(app);
+
+  assert.equal(Object.keys(cells).length, 8);
+  assert.equal(cells['4A'], '✔ Solved');
+  assert.equal(cells['71A'], '✔ Solved');
+  assert.equal(cells['158B'], '👍Tried');
+  assert.equal(cells['231A'], '-Not attempted');
+  assert.match(app.text('#profile-info-container'), /alice/);
+  assert.deepEqual(
+    app.apiCalls.find((call) => call.method === 'user.status').params.handle,
+    'alice'
+  );
+  // 9999Z and the invalid row are reported, not listed
+  assert.match(app.text('#ladder-report'), /9999Z was not found/);
+});
+
+test('the AND/OR switch changes how selected tags combine', async (t) => {
+  const app = await start('?rating=all&tags=greedy,strings');
+  t.after(() => app.close());
+
+  await waitFor(() => app.$$('#problem-table-body tr[data-problem-id]').length);
+  const listed = () => Object.keys(statusCells(app)).sort();
+  assert.deepEqual(listed(), ['1000A', '158B', '231A', '550A', '71A']);
+
+  const toggle = app.$('#logic-toggle');
+  toggle.checked = true;
+  toggle.dispatchEvent(new app.window.Event('change'));
+
+  assert.deepEqual(listed(), ['550A']);
+  assert.equal(app.text('#logic-label'), 'Filter Logic: AND');
+  assert.match(app.window.location.search, /logic=AND/);
+});
+
+test('an unknown handle shows the API error', async (t) => {
+  const app = await start('?handle=nobody_here&rating=all');
+  t.after(() => app.close());
+
+  await waitFor(() => /^Error:/.test(app.text('#status-message')));
+
+  assert.match(app.text('#status-message'), /nobody_here not found/);
+  assert.equal(app.$$('.status-solved').length, 0);
+  assert.equal(
+    app.apiCalls.filter((call) => call.method === 'user.info').length,
+    1
+  );
+});
+
+test('keyboard shortcuts move through rows and ratings', async (t) => {
+  const app = await start('?rating=all');
+  t.after(() => app.close());
+
+  await waitFor(() => app.$$('#problem-table-body tr[data-problem-id]').length);
+  const press = (key, target = app.document.body) =>
+    target.dispatchEvent(
+      new app.window.KeyboardEvent('keydown', { key, bubbles: true })
+    );
+
+  press('j');
+  press('j');
+  const rows = app.$$('#problem-table-body tr[data-problem-id]');
+  assert.equal(app.document.activeElement, rows[1]);
+  press('k');
+  assert.equal(app.document.activeElement, rows[0]);
+
+  press(']');
+  const pressed = app.$$('#rating-nav [aria-pressed="true"]');
+  assert.deepEqual(
+    pressed.map((b) => b.dataset.rating),
+    [app.$('#rating-nav .rating-btn').dataset.rating]
+  );
+  assert.equal(app.document.activeElement, pressed[0]);
+
+  // Typing in the handle box is not a shortcut
+  press('/');
+  assert.equal(app.document.activeElement, app.$('#cf-handle-input'));
+  press('j', app.$('#cf-handle-input'));
+  assert.equal(app.document.activeElement, app.$('#cf-handle-input'));
+});
+
+test('modals trap focus and give it back on Escape', async (t) => {
+  const app = await start('?rating=all');
+  t.after(() => app.close());
+
+  await waitFor(() => app.$$('#problem-table-body tr[data-problem-id]').length);
+  const opener = app.$('#shortcuts-btn');
+  opener.focus();
+  app.click('#shortcuts-btn');
+  const modal = app.$('#shortcuts-modal');
+  assert.ok(!modal.classList.contains('hidden'));
+  assert.equal(app.document.activeElement, modal.querySelector('button'));
+
+  // The close button is the only control, so Tab stays on it
+  app.document.dispatchEvent(
+    new app.window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true })
+  );
+  assert.ok(modal.contains(app.document.activeElement));
+
+  app.document.dispatchEvent(
+    new app.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+  );
+  assert.ok(modal.classList.contains('hidden'));
+  assert.equal(app.document.activeElement, opener);
+});
+
+test('markup in API and ladder data is shown as text', async (t) => {
+  const payload = '<img src=x onerror="window.pwned=1">';
+  const problemset = loadFixture('problemset.problems.json');
+  problemset.result.problems[0].name = `Watermelon ${payload}`;
+  problemset.result.problems[0].tags.push(payload);
+  const userInfo = loadFixture('user.info.json');
+  userInfo.result[0].rank = payload;
+  const app = await startApp({
+    url: 'http://localhost/?handle=alice&rating=all',
+    api: {
+      ...api,
+      'problemset.problems': problemset,
+      'user.info': userInfo,
+    },
+    files: {
+      ...files,
+      'ladder.csv': readFixture('hostile.csv'),
+      'announcements.json': [
+        {
+          id: 'hostile',
+          title: payload,
+          date: new Date(Date.now() + 864e5).toISOString(),
+          url: 'javascript:window.pwned=1',
+        },
+      ],
+    },
+  });
+  t.after(() => app.close());
+
+  await waitFor(
+    () =>
+      app.$('#profile-info-container .stat-block') &&
+      app.$('#banner-area .countdown-banner-container') &&
+      app.$('#problem-table-body .section-row')
+  );
+
+  assert.equal(app.$$('img[src="x"]').length, 0);
+  assert.equal(app.$$('#problem-table-body a:not(.problem-link)').length, 0);
+  assert.match(app.text('#problem-table-body'), /Watermelon <img src=x/);
+  assert.match(app.text('.section-row'), /^<img src=x/);
+  assert.match(app.text('.curator-note'), /<a href="javascript:/);
+  assert.ok(
+    app.$$('#tags-container .tag-btn').some((b) => b.dataset.tag === payload)
+  );
+  assert.match(app.text('#profile-info-container'), /<img src=x/);
+  assert.equal(app.$('.banner-cta-button').getAttribute('href'), '#');
+  assert.equal(app.window.pwned, undefined);
+});
+
+test('theme changes recolour the existing charts', async (t) => {
+  const app = await startApp({
+    url: 'http://localhost/?handle=alice&view=analytics',
+    api,
+    files,
+    storage: { theme: 'system', cfLadderRankAccent: 'on' },
+  });
+  t.after(() => app.close());
+  // jsdom loads no stylesheets, so give the themes one colour each
+  const style = app.document.createElement('style');
+  style.textContent = `
+    body { --text-secondary: #9fb0c8; }
+    body.light-mode { --text-secondary: #5a6b87; }
+    body.high-contrast { --text-secondary: #f2f2f2; }`;
+  app.document.head.append(style);
+
+  await waitFor(() =>
+    app.charts.find((chart) => chart.canvas.id === 'ratings-bar-chart')
+  );
+  await waitFor(() => app.document.body.dataset.rankAccent);
+  await waitFor(() =>
+    app.charts.find((c) => c.canvas.id === 'rating-history-chart')
+  );
+  // The analytics may have been redrawn while waiting, so take the chart
+  // that is on the canvas now
+  const chart = app.charts
+    .filter((c) => c.canvas.id === 'ratings-bar-chart')
+    .at(-1);
+  const tickColor = () => chart.options.scales.y.ticks.color;
+  const chartCount = app.charts.length;
+  assert.equal(app.document.body.dataset.rankAccent, 'rank-pupil');
+
+  app.setPrefersDark(false);
+  assert.ok(app.document.body.classList.contains('light-mode'));
+  assert.equal(tickColor(), '#5a6b87');
+
+  const select = app.$('#theme-select');
+  select.value = 'contrast';
+  select.dispatchEvent(new app.window.Event('change'));
+  assert.ok(app.document.body.classList.contains('high-contrast'));
+  assert.ok(!app.document.body.classList.contains('light-mode'));
+  assert.equal(tickColor(), '#f2f2f2');
+  assert.equal(app.window.localStorage.getItem('theme'), 'contrast');
+
+  // Printing uses the light colours and puts the chosen theme back after
+  app.window.dispatchEvent(new app.window.Event('beforeprint'));
+  assert.equal(tickColor(), '#5a6b87');
+  app.window.dispatchEvent(new app.window.Event('afterprint'));
+  assert.ok(app.document.body.classList.contains('high-contrast'));
+  assert.equal(tickColor(), '#f2f2f2');
+
+  // The header switch picks an explicit theme, so the system is ignored
+  app.$('#theme-toggle-checkbox').click();
+  assert.equal(app.window.localStorage.getItem('theme'), 'light');
+  app.setPrefersDark(true);
+  assert.ok(app.document.body.classList.contains('light-mode'));
+  assert.equal(tickColor(), '#5a6b87');
+  assert.equal(app.charts.length, chartCount);
+});
+
+test('the rating history marks ladder milestones and pre-gain solves', async (t) => {
+  const app = await start('?handle=alice&view=analytics');
+  t.after(() => app.close());
+
+  const chart = await waitFor(() =>
+    app.charts.find((c) => c.canvas.id === 'rating-history-chart')
+  );
+  assert.deepEqual(chart.config.data.datasets[0].data, [1100, 1050, 1234]);
+
+  const deltas = app
+    .$$('#contest-delta-table tbody tr')
+    .map((row) => [...row.cells].map((cell) => cell.textContent.trim()));
+  assert.equal(deltas.length, 3);
+  // Newest first, and the contest name is text rather than markup
+  assert.equal(deltas[0][1], 'Codeforces Round <b>950</b> (Div. 3)');
+  assert.equal(deltas[0][4], '+184');
+  assert.equal(deltas[1][4], '-50');
+  assert.equal(app.$$('#contest-delta-table b').length, 0);
+
+  // The first contest is not a gain; 1352C and 71A came in the 30 days before
+  const gains = app
+    .$$('#rating-gain-table tbody tr')
+    .map((row) => [...row.cells].map((cell) => cell.textContent.trim()));
+  assert.deepEqual(gains, [
+    ['Codeforces Round <b>950</b> (Div. 3)', '+184', '2', '0'],
+  ]);
+});
+
+test('goals track ladder progress and new badges are announced', async (t) => {
+  const { result } = loadFixture('user.status.json');
+  const app = await startApp({
+    url: 'http://localhost/?handle=alice&view=analytics',
+    api: {
+      ...api,
+      // Solving 1000A finishes the 1200 bucket
+      'user.status': {
+        status: 'OK',
+        result: [
+          {
+            ...result[0],
+            id: 99,
+            problem: {
+              contestId: 1000,
+              index: 'A',
+              name: 'Codehorses T-shirts',
+              rating: 1200,
+              tags: ['greedy', 'implementation'],
+            },
+            verdict: 'OK',
+            creationTimeSeconds: 1717100000,
+          },
+          ...result,
+        ],
+      },
+    },
+    files,
+    storage: {
+      cfLadderBadges: JSON.stringify({ alice: {} }),
+      cfLadderGoals: JSON.stringify([
+        {
+          id: 'goal-1',
+          type: 'bucket',
+          rating: 800,
+          tag: '',
+          deadline: '2999-12-31',
+          createdAt: Date.now(),
+        },
+      ]),
+    },
+  });
+  t.after(() => app.close());
+
+  await waitFor(() => app.$('#profile-info-container .badge.earned'));
+  assert.match(app.text('#toast-region'), /Badge unlocked: Bucket Cleared/);
+  assert.deepEqual(
+    app
+      .$$('#profile-info-container .badge.earned')
+      .map((li) => li.textContent.replace(/\s+/g, ' ').trim()),
+    ['Bucket Cleared (earned)']
+  );
+  const saved = JSON.parse(app.window.localStorage.getItem('cfLadderBadges'));
+  assert.deepEqual(Object.keys(saved.alice), ['bucket-cleared']);
+
+  // 4A and 71A of the three 800s are solved
+  await waitFor(() => /2 \/ 3/.test(app.text('#goals-table')));
+  assert.match(
+    app.text('#goals-table'),
+    /Finish all 800 problems by 2999-12-31/
+  );
+  assert.match(app.text('#goals-table'), /On track/);
+
+  const form = app.$('#goal-form');
+  form.elements.deadline.value = '2000-01-01';
+  form.requestSubmit();
+  assert.match(app.text('#toast-region'), /from today on/);
+  assert.equal(
+    JSON.parse(app.window.localStorage.getItem('cfLadderGoals')).length,
+    1
+  );
+
+  form.elements.type.value = 'weekly';
+  form.elements.type.dispatchEvent(new app.window.Event('change'));
+  assert.ok(
+    form.elements.deadline.closest('label').classList.contains('hidden')
+  );
+  form.elements.count.value = '3';
+  form.requestSubmit();
+  const goals = JSON.parse(app.window.localStorage.getItem('cfLadderGoals'));
+  assert.deepEqual(
+    goals.map((goal) => [goal.type, goal.count]),
+    [
+      ['bucket', undefined],
+      ['weekly', 3],
+    ]
+  );
+  assert.match(
+    app.text('#goals-table'),
+    /Solve 3 ladder problem\(s\) every week/
+  );
+
+  app.$('#goals-table tr[data-goal-id="goal-1"] .goal-remove-btn').click();
+  assert.equal(app.$$('#goals-table tbody tr').length, 1);
+  assert.doesNotMatch(app.text('#goals-table'), /800/);
+});
+
+test('finishing a practice session syncs and scores it once', async (t) => {
+  const startedAt = Date.now() - 10 * 60 * 1000;
+  const session = {
+    handle: 'alice',
+    startedAt,
+    endsAt: startedAt + 3600 * 1000,
+    minutes: 60,
+    hideTags: false,
+    problems: [
+      {
+        id: '4A',
+        contestId: 4,
+        index: 'A',
+        name: 'Watermelon',
+        rating: 800,
+        tags: ['math'],
+      },
+    ],
+    results: {},
+  };
+  const app = await startApp({
+    url: 'http://localhost/?handle=alice&view=practice',
+    api,
+    files,
+    storage: { cfLadderPracticeSession: JSON.stringify(session) },
+  });
+  t.after(() => app.close());
+
+  const statusCalls = () =>
+    app.apiCalls.filter((call) => call.method === 'user.status').length;
+  await waitFor(() => /found/.test(app.text('#toast-region')));
+  assert.equal(statusCalls(), 1);
+
+  app.click('#practice-finish-btn');
+  const history = () =>
+    JSON.parse(app.window.localStorage.getItem('cfLadderPracticeHistory'));
+  await waitFor(() => history());
+  assert.match(app.text('#toast-region'), /Session over: 0\/1 solved/);
+  // Long enough for a second finish to have queued another sync
+  await new Promise((resolve) => setTimeout(resolve, 3000));
+  assert.equal(history().length, 1);
+  assert.equal(statusCalls(), 2);
+});
+
+test('the Upsolve view adds missed contest problems to the table', async (t) => {
+  const problemset = loadFixture('problemset.problems.json');
+  problemset.result.problems.push(
+    {
+      contestId: 1352,
+      index: 'B',
+      name: 'Same Parity Summands',
+      type: 'PROGRAMMING',
+      rating: 1200,
+      tags: ['constructive algorithms', 'math'],
+    },
+    // Not rated yet, so it waits outside the table
+    {
+      contestId: 1352,
+      index: 'D',
+      name: 'Alice, Bob and Candies',
+      type: 'PROGRAMMING',
+      tags: ['implementation'],
+    }
+  );
+  problemset.result.problemStatistics.push(
+    { contestId: 1352, index: 'B', solvedCount: 20000 },
+    { contestId: 1352, index: 'D', solvedCount: 15000 }
+  );
+  const app = await startApp({
+    url: 'http://localhost/?handle=alice&view=upsolve&rating=all',
+    api: {
+      ...api,
+      'problemset.problems': problemset,
+      'user.status': loadFixture('user.status.contest.json'),
+      'user.rating': {
+        status: 'OK',
+        result: [
+          {
+            contestId: 1352,
+            contestName: 'Codeforces Round 640 (Div. 4)',
+            handle: 'alice',
+            rank: 3000,
+            ratingUpdateTimeSeconds: 1716210000,
+            oldRating: 0,
+            newRating: 1000,
+          },
+        ],
+      },
+    },
+    files,
+  });
+  t.after(() => app.close());
+
+  const section = () => app.$('.upsolve-contest[data-contest-id="1352"]');
+  await waitFor(() => /Round 640/.test(app.text('#upsolve-contests')));
+  assert.deepEqual(
+    app.$$('.upsolve-contest').map((el) => el.dataset.contestId),
+    ['1000', '1352']
+  );
+  const rows = () =>
+    [...section().querySelectorAll('tbody tr')].map((row) =>
+      [...row.cells].map((cell) => cell.textContent.replace(/\s+/g, ' ').trim())
+    );
+  assert.deepEqual(
+    rows().map((cells) => cells.slice(0, 4)),
+    [
+      ['1352B', 'Same Parity Summands', '1200', 'Failed in contest'],
+      ['1352C', 'K-th Not Divisible by n', '1200', 'Upsolved'],
+      ['1352D', 'Alice, Bob and Candies', 'Unrated', 'Not opened'],
+    ]
+  );
+  // 1352C is already part of the curated ladder
+  assert.equal(rows()[1][4], 'In the ladder');
+
+  section().querySelector('[data-upsolve-action="add-all"]').click();
+  assert.match(app.text('#toast-region'), /Added 2 problem\(s\)/);
+  assert.ok(
+    section().querySelector('[data-upsolve-action="add-all"]').disabled
+  );
+  assert.match(rows()[2][4], /Listed once it is rated/);
+
+  const tableRow = () =>
+    app.$('#problem-table-body tr[data-problem-id="1352B"]');
+  assert.ok(tableRow());
+  assert.match(app.text('#problem-table-body'), /My Upsolve List/);
+  assert.match(
+    app.text('#problem-table-body'),
+    /Upsolve: Codeforces Round 640/
+  );
+  assert.equal(app.$('#problem-table-body tr[data-problem-id="1352D"]'), null);
+
+  // Listed in the table, but goals and statistics stay with the curated ladder
+  app.$('#analytics-link').click();
+  const goalTags = app
+    .$$('#goal-form [name="tag"] option')
+    .map((option) => option.value);
+  assert.ok(goalTags.includes('greedy'));
+  assert.ok(!goalTags.includes('constructive algorithms'));
+  app.$('#upsolve-link').click();
+
+  section()
+    .querySelector('tr[data-problem-id="1352B"] [data-upsolve-action="remove"]')
+    .click();
+  assert.equal(tableRow(), null);
+  assert.equal(app.document.activeElement.dataset.upsolveAction, 'add');
+});
+
+test('gym problems cannot be added and picks belong to the handle', async (t) => {
+  const problemset = loadFixture('problemset.problems.json');
+  problemset.result.problems.push({
+    contestId: 1352,
+    index: 'B',
+    name: 'Same Parity Summands',
+    type: 'PROGRAMMING',
+    rating: 1200,
+    tags: ['constructive algorithms', 'math'],
+  });
+  problemset.result.problemStatistics.push({
+    contestId: 1352,
+    index: 'B',
+    solvedCount: 20000,
+  });
+  const status = loadFixture('user.status.contest.json');
+  status.result.push({
+    id: 2000,
+    contestId: 104114,
+    creationTimeSeconds: 1716100000,
+    problem: {
+      contestId: 104114,
+      index: 'B',
+      name: 'Gym Problem',
+      type: 'PROGRAMMING',
+      tags: [],
+    },
+    author: {
+      contestId: 104114,
+      members: [{ handle: 'alice' }],
+      participantType: 'CONTESTANT',
+      startTimeSeconds: 1716090000,
+    },
+    verdict: 'WRONG_ANSWER',
+  });
+  const app = await startApp({
+    url: 'http://localhost/?handle=alice&view=upsolve&rating=all',
+    api: {
+      ...api,
+      'problemset.problems': problemset,
+      'user.status': status,
+    },
+    files,
+  });
+  t.after(() => app.close());
+
+  const gym = () => app.$('.upsolve-contest[data-contest-id="104114"]');
+  await waitFor(() => gym());
+  assert.ok(gym().querySelector('[data-upsolve-action="add-all"]').disabled);
+  assert.equal(gym().querySelector('tbody [data-upsolve-action]'), null);
+  assert.match(gym().textContent, /Gym, not in the problemset/);
+
+  app
+    .$(
+      '.upsolve-contest[data-contest-id="1352"] [data-upsolve-action="add-all"]'
+    )
+    .click();
+  assert.match(app.text('#toast-region'), /Added 1 problem\(s\)/);
+  await waitFor(() => app.$('#problem-table-body tr[data-problem-id="1352B"]'));
+
+  // Another handle starts from its own, here empty, personal ladder
+  const handleInput = app.$('#cf-handle-input');
+  handleInput.value = 'bob';
+  handleInput.dispatchEvent(
+    new app.window.KeyboardEvent('keyup', { key: 'Enter' })
+  );
+  await waitFor(
+    () => !app.$('#problem-table-body tr[data-problem-id="1352B"]')
+  );
+});
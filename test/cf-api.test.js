@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildApiUrl, CfApiError, createCfClient } from '../lib/cf-api.js';
+import { loadFixture } from './helpers/app.js';
+
+const BASE_URL = 'https://cf.test/api';
+
+function response(body, status = 200) {
+  return { ok: status === 200, status, json: async () => body };
+}
+
+// Records requested URLs and answers them in turn from `replies`
+function mockFetch(...replies) {
+  const urls = [];
+  const fetchImpl = async (url) => {
+    urls.push(url);
+    const reply = replies[Math.min(urls.length, replies.length) - 1];
+    return typeof reply === 'function' ? reply(url) : reply;
+  };
+  return { urls, fetchImpl };
+}
+
+const client = (fetchImpl, options = {}) =>
+  createCfClient({ baseUrl: BASE_URL, minGapMs: 5, fetchImpl, ...options });
+
+test('buildApiUrl encodes parameters and skips empty ones', () => {
+  assert.equal(
+    buildApiUrl(`${BASE_URL}/`, 'user.info', {
+      handles: 'a&b=c d',
+      from: null,
+      count: undefined,
+    }),
+    `${BASE_URL}/user.info?handles=a%26b%3Dc+d`
+  );
+  assert.equal(
+    buildApiUrl(BASE_URL, 'contest.list'),
+    `${BASE_URL}/contest.list`
+  );
+});
+
+test('call resolves with the result of an OK response', async () => {
+  const { urls, fetchImpl } = mockFetch(
+    response(loadFixture('user.info.json'))
+  );
+  const [user] = await client(fetchImpl).call('user.info', {
+    handles: 'alice',
+  });
+
+  assert.equal(user.handle, 'alice');
+  assert.deepEqual(urls, [`${BASE_URL}/user.info?handles=alice`]);
+});
+
+test('an unknown handle fails at once with a non-retryable error', async () => {
+  const { urls, fetchImpl } = mockFetch(
+    response(loadFixture('user.info.not-found.json'))
+  );
+
+  await assert.rejects(
+    client(fetchImpl).call('user.info', { handles: 'nobody_here' }),
+    (error) =>
+      error instanceof CfApiError &&
+      error.method === 'user.info' &&
+      error.retryable === false &&
+      /not found/.test(error.message)
+  );
+  assert.equal(urls.length, 1);
+});
+
+test('call limit, busy and network errors are retried', async () => {
+  const { urls, fetchImpl } = mockFetch(
+    response({ status: 'FAILED', comment: 'Call limit exceeded' }),
+    response({}, 503),
+    () => Promise.reject(new TypeError('Failed to fetch')),
+    response({ status: 'OK', result: 42 })
+  );
+
+  assert.equal(await client(fetchImpl).call('contest.list'), 42);
+  assert.equal(urls.length, 4);
+});
+
+test('retries stop after maxRetries', async () => {
+  const { urls, fetchImpl } = mockFetch(response({}, 429));
+
+  await assert.rejects(
+    client(fetchImpl, { maxRetries: 2 }).call('contest.list'),
+    { name: 'CfApiError', retryable: true }
+  );
+  assert.equal(urls.length, 3);
+});
+
+test('a slow response times out', async () => {
+  const fetchImpl = (url, { signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+  await assert.rejects(
+    client(fetchImpl, { timeoutMs: 20, maxRetries: 0 }).call('contest.list'),
+    { message: 'Codeforces API timed out.' }
+  );
+});
+
+test('aborting cancels queued calls before they are sent', async () => {
+  const { urls, fetchImpl } = mockFetch(response({ status: 'OK', result: 1 }));
+  const api = client(fetchImpl, { minGapMs: 50 });
+  const controller = new AbortController();
+
+  const first = api.call('contest.list');
+  const second = api.call(
+    'user.info',
+    { handles: 'alice' },
+    {
+      signal: controller.signal,
+    }
+  );
+  controller.abort();
+
+  assert.equal(await first, 1);
+  await assert.rejects(second, { name: 'AbortError' });
+  assert.deepEqual(urls, [`${BASE_URL}/contest.list`]);
+});
+
+test('foreground calls are sent before queued background calls', async () => {
+  const { urls, fetchImpl } = mockFetch(response({ status: 'OK', result: 1 }));
+  const api = client(fetchImpl);
+
+  await Promise.all([
+    api.call('contest.list'),
+    api.call('problemset.problems', {}, { background: true }),
+    api.call('user.info', { handles: 'alice' }),
+  ]);
+  assert.deepEqual(
+    urls.map((url) => url.slice(BASE_URL.length + 1)),
+    ['contest.list', 'user.info?handles=alice', 'problemset.problems']
+  );
+});
+
+test('cached responses are reused until the base URL changes', async () => {
+  const { urls, fetchImpl } = mockFetch(response({ status: 'OK', result: 1 }));
+  const api = client(fetchImpl);
+
+  await api.call('contest.list', {}, { cacheTtlMs: 60000 });
+  await api.call('contest.list', {}, { cacheTtlMs: 60000 });
+  assert.equal(urls.length, 1);
+
+  api.setBaseUrl('https://mirror.test/api/');
+  await api.call('contest.list', {}, { cacheTtlMs: 60000 });
+  assert.equal(urls[1], 'https://mirror.test/api/contest.list');
+});
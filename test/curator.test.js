@@ -0,0 +1,158 @@
+// The curator page against the fixture ladder and problemset
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture, readFixture, startApp, waitFor } from './helpers/app.js';
+
+function start(storage = {}, csv = readFixture('ladder.csv')) {
+  return startApp({
+    page: 'curator.html',
+    api: { 'problemset.problems': loadFixture('problemset.problems.json') },
+    files: {
+      'ladders.json': loadFixture('ladders.json'),
+      'ladder.csv': csv,
+    },
+    storage,
+  });
+}
+
+// Waits until the problemset has been joined with the ladder
+async function ready(app) {
+  await waitFor(() => /rows listed/.test(app.text('#curator-count')));
+}
+
+function draftIds(app) {
+  return app
+    .$$('#curator-draft .curator-input[data-field="problem_links"]')
+    .map((input) => input.value);
+}
+
+function click(app, element) {
+  element.dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+}
+
+test('the ladder file is listed with the rows that would be dropped', async (t) => {
+  const app = await start();
+  t.after(() => app.close());
+  await ready(app);
+
+  assert.equal(draftIds(app).length, 11);
+  assert.equal(app.text('#curator-count'), '(8 of 11 rows listed)');
+  assert.equal(app.$$('#curator-draft tr.dropped').length, 3);
+  const report = app.text('#curator-issues');
+  assert.match(report, /4A duplicates line 2/);
+  assert.match(report, /"ABC" is not a valid problem id/);
+  assert.match(report, /9999Z was not found on Codeforces/);
+  assert.equal(app.text('#curator-diff-summary'), 'No changes.');
+});
+
+test('search finds problems and adds them to the ladder', async (t) => {
+  const app = await start();
+  t.after(() => app.close());
+  await ready(app);
+
+  // Free up 550A so it can be added again from the search
+  const row = app
+    .$$('#curator-draft tbody tr')
+    .find((tr) => tr.querySelector('input').value === '550A');
+  click(app, row.querySelector('[data-action="remove"]'));
+
+  const form = app.$('#curator-search-form');
+  form.elements.query.value = 'substrings';
+  form.dispatchEvent(new app.window.Event('input', { bubbles: true }));
+  const addButton = app.$('#curator-results [data-add="550A"]');
+  assert.equal(addButton.disabled, false);
+
+  click(app, addButton);
+  assert.equal(draftIds(app).at(-1), '550A');
+  assert.equal(app.$('#curator-results [data-add="550A"]').disabled, true);
+  assert.match(app.text('#curator-diff'), /- 550A,Strings,,,/);
+  assert.match(app.text('#curator-diff'), /\+ 550A,Math,,,/);
+});
+
+test('unrated problems need a difficulty and edits are kept as a draft', async (t) => {
+  const app = await start();
+  t.after(() => app.close());
+  await ready(app);
+
+  const input = app.$(
+    '#curator-draft .curator-input[data-field="difficulty"][data-index="7"]'
+  );
+  assert.equal(input.value, '900');
+  input.value = '';
+  input.dispatchEvent(new app.window.Event('change', { bubbles: true }));
+
+  assert.match(
+    app.text('#curator-issues'),
+    /1791B has no rating, add a difficulty to list it/
+  );
+  const draft = JSON.parse(
+    app.window.localStorage.getItem('cfLadderCuratorDraft')
+  );
+  assert.equal(draft.ladderId, 'test');
+  assert.equal(draft.rows[7].difficulty, '');
+
+  click(app, app.$('#curator-draft [data-action="up"][data-index="7"]'));
+  assert.deepEqual(draftIds(app).slice(6, 8), ['1791B', '550A']);
+
+  click(app, app.$('#curator-reset-btn'));
+  assert.equal(app.window.localStorage.getItem('cfLadderCuratorDraft'), null);
+  assert.equal(app.text('#curator-diff-summary'), 'No changes.');
+});
+
+test('a saved draft is restored on the next visit', async (t) => {
+  const rows = [{ problem_links: '4A', section: '', difficulty: '', note: '' }];
+  const app = await start({
+    cfLadderCuratorDraft: JSON.stringify({ ladderId: 'test', rows }),
+  });
+  t.after(() => app.close());
+  await ready(app);
+
+  assert.deepEqual(draftIds(app), ['4A']);
+  assert.match(app.text('#curator-message'), /Restored your unsaved changes/);
+  assert.match(app.text('#curator-diff-summary'), /removed/);
+});
+
+test('markup in ladder cells stays in the inputs and the diff', async (t) => {
+  const payload = '<img src=x onerror="window.pwned=1">';
+  const rows = [
+    { problem_links: '4A', section: payload, difficulty: '', note: payload },
+  ];
+  const app = await start({
+    cfLadderCuratorDraft: JSON.stringify({ ladderId: 'test', rows }),
+  });
+  t.after(() => app.close());
+  await ready(app);
+
+  const value = (field) =>
+    app.$(`#curator-draft .curator-input[data-field="${field}"]`).value;
+  assert.equal(value('section'), payload);
+  assert.equal(value('note'), payload);
+  assert.match(app.text('#curator-diff'), /\+ 4A,"<img src=x onerror=/);
+  assert.equal(app.$$('img[src="x"]').length, 0);
+});
+
+test('a file with an order column saves back unchanged', async (t) => {
+  const csv = [
+    'problem_links,section,difficulty,note,order',
+    '4A,Warm-up,,,2',
+    '71A,Warm-up,,,',
+    '231A,Warm-up,,,1',
+    '',
+  ].join('\n');
+  const app = await start({}, csv);
+  t.after(() => app.close());
+  await ready(app);
+
+  assert.deepEqual(draftIds(app), ['4A', '71A', '231A']);
+  assert.equal(app.text('#curator-diff-summary'), 'No changes.');
+
+  const input = app.$(
+    '#curator-draft .curator-input[data-field="order"][data-index="1"]'
+  );
+  assert.equal(input.value, '');
+  input.value = '3';
+  input.dispatchEvent(new app.window.Event('change', { bubbles: true }));
+  assert.match(app.text('#curator-diff'), /- 71A,Warm-up,,,/);
+  assert.match(app.text('#curator-diff'), /\+ 71A,Warm-up,,,3/);
+  assert.doesNotMatch(app.text('#curator-diff'), /[-+] (4A|231A),/);
+});
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { filterProblems, matchesTags, sortProblems } from '../lib/filters.js';
+
+const problem = (
+  contestId,
+  index,
+  rating,
+  tags,
+  name = `${contestId}${index}`
+) => ({
+  contestId,
+  index,
+  rating,
+  tags,
+  name,
+  solvedCount: contestId,
+});
+
+const problems = [
+  problem(4, 'A', 800, ['brute force', 'math'], 'Watermelon'),
+  problem(71, 'A', 800, ['strings'], 'Way Too Long Words'),
+  problem(158, 'B', 1100, ['greedy', 'implementation'], 'Taxi'),
+  problem(1352, 'C', 1200, ['binary search', 'math'], 'K-th Not Divisible'),
+  problem(550, 'A', 1500, ['dp', 'greedy', 'strings'], 'Two Substrings'),
+];
+const status = new Map([
+  ['4A', 'SOLVED'],
+  ['158B', 'ATTEMPTED'],
+]);
+const ids = (list) => list.map((p) => `${p.contestId}${p.index}`);
+
+test('OR logic needs one selected tag, AND needs all of them', () => {
+  const tags = new Set(['greedy', 'strings']);
+
+  assert.deepEqual(ids(filterProblems(problems, { tags, tagLogic: 'OR' })), [
+    '71A',
+    '158B',
+    '550A',
+  ]);
+  assert.deepEqual(ids(filterProblems(problems, { tags, tagLogic: 'AND' })), [
+    '550A',
+  ]);
+});
+
+test('excluded tags win over the selected ones', () => {
+  const excludedTags = new Set(['dp']);
+
+  assert.equal(
+    matchesTags(problems[4], new Set(['strings']), excludedTags, 'OR'),
+    false
+  );
+  assert.deepEqual(ids(filterProblems(problems, { excludedTags })), [
+    '4A',
+    '71A',
+    '158B',
+    '1352C',
+  ]);
+});
+
+test('a single rating or an inclusive rating range can be selected', () => {
+  assert.deepEqual(ids(filterProblems(problems, { rating: 800 })), [
+    '4A',
+    '71A',
+  ]);
+  assert.deepEqual(
+    ids(filterProblems(problems, { rating: 1100, ratingMax: 1500 })),
+    ['158B', '1352C', '550A']
+  );
+  assert.equal(filterProblems(problems, { rating: 'all' }).length, 5);
+});
+
+test('search matches names and problem ids, case-insensitively', () => {
+  assert.deepEqual(ids(filterProblems(problems, { query: 'TAXI' })), ['158B']);
+  assert.deepEqual(ids(filterProblems(problems, { query: '1352c' })), [
+    '1352C',
+  ]);
+});
+
+test('hide solved and only attempted use the status map', () => {
+  assert.deepEqual(
+    ids(filterProblems(problems, { hideSolved: true }, status)),
+    ['71A', '158B', '1352C', '550A']
+  );
+  assert.deepEqual(
+    ids(filterProblems(problems, { onlyAttempted: true }, status)),
+    ['158B']
+  );
+});
+
+test('sortProblems sorts by each key and keeps curated order without one', () => {
+  assert.equal(sortProblems(problems, null, 'asc'), problems);
+  assert.deepEqual(ids(sortProblems(problems, 'rating', 'desc')), [
+    '550A',
+    '1352C',
+    '158B',
+    '4A',
+    '71A',
+  ]);
+  assert.deepEqual(ids(sortProblems(problems, 'name', 'asc')).slice(0, 2), [
+    '1352C',
+    '158B',
+  ]);
+  assert.deepEqual(ids(sortProblems(problems, 'status', 'desc', status)), [
+    '4A',
+    '158B',
+    '71A',
+    '1352C',
+    '550A',
+  ]);
+  assert.deepEqual(ids(sortProblems(problems, 'contest', 'asc')), [
+    '4A',
+    '71A',
+    '158B',
+    '550A',
+    '1352C',
+  ]);
+});
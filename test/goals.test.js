@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { describeGoal, evaluateGoal, getEarnedBadges } from '../lib/goals.js';
+
+const DAY = 86400000;
+const problems = [
+  { contestId: 4, index: 'A', rating: 800, tags: ['math'] },
+  { contestId: 71, index: 'A', rating: 800, tags: ['strings'] },
+  { contestId: 231, index: 'A', rating: 800, tags: ['greedy'] },
+  { contestId: 1000, index: 'A', rating: 1200, tags: ['greedy'] },
+];
+const statusMap = new Map([
+  ['4A', 'SOLVED'],
+  ['71A', 'ATTEMPTED'],
+  ['1000A', 'SOLVED'],
+]);
+
+function bucketGoal(fields) {
+  return {
+    id: 'goal-1',
+    type: 'bucket',
+    rating: 800,
+    tag: '',
+    deadline: '2024-01-31',
+    createdAt: new Date('2024-01-01T00:00:00').getTime(),
+    ...fields,
+  };
+}
+
+function evaluateAt(goal, day, extra = {}) {
+  return evaluateGoal(goal, {
+    problems,
+    statusMap,
+    firstSolves: new Map(),
+    weekStart: 0,
+    now: new Date(`${day}T12:00:00`).getTime(),
+    ...extra,
+  });
+}
+
+test('bucket goals count solved problems and compare with an even pace', () => {
+  const goal = bucketGoal();
+
+  assert.deepEqual(evaluateAt(goal, '2024-01-05'), {
+    done: 1,
+    total: 3,
+    status: 'on-track',
+  });
+  // Two of three should be done by late January
+  assert.equal(evaluateAt(goal, '2024-01-25').status, 'behind');
+  // The deadline day itself still counts
+  assert.equal(evaluateAt(goal, '2024-01-31').status, 'behind');
+  assert.equal(evaluateAt(goal, '2024-02-01').status, 'overdue');
+});
+
+test('bucket goals can be narrowed to a tag', () => {
+  assert.deepEqual(
+    evaluateAt(bucketGoal({ rating: 1200, tag: 'greedy' }), '2024-03-01'),
+    {
+      done: 1,
+      total: 1,
+      status: 'complete',
+    }
+  );
+  assert.equal(
+    evaluateAt(bucketGoal({ tag: 'dp' }), '2024-01-05').status,
+    'missing'
+  );
+});
+
+test('weekly goals count new ladder solves since the week started', () => {
+  const weekStart = new Date('2024-01-07T00:00:00').getTime();
+  const firstSolves = new Map([
+    ['4A', (weekStart - DAY) / 1000], // Last week
+    ['1000A', (weekStart + DAY) / 1000],
+    ['1B', (weekStart + DAY) / 1000], // Not in the ladder
+  ]);
+  const goal = { id: 'goal-2', type: 'weekly', count: 3, createdAt: 0 };
+  const at = (now) =>
+    evaluateGoal(goal, { problems, statusMap, firstSolves, weekStart, now });
+
+  assert.deepEqual(at(weekStart + 2 * DAY), {
+    done: 1,
+    total: 3,
+    status: 'on-track',
+  });
+  assert.equal(at(weekStart + 6 * DAY).status, 'behind');
+  assert.equal(at(weekStart + 7 * DAY).status, 'overdue');
+});
+
+test('describeGoal reads as a sentence', () => {
+  assert.equal(
+    describeGoal(bucketGoal({ rating: 1200, tag: 'greedy' })),
+    'Finish all 1200 greedy problems by 2024-01-31'
+  );
+  assert.equal(
+    describeGoal({ type: 'weekly', count: 5 }),
+    'Solve 5 ladder problem(s) every week'
+  );
+});
+
+test('badges are earned at 100 solves, a cleared bucket and a 7-day streak', () => {
+  assert.deepEqual(
+    getEarnedBadges({ solvedCount: 99, clearedBuckets: 0, longestStreak: 6 }),
+    []
+  );
+  assert.deepEqual(
+    getEarnedBadges({ solvedCount: 100, clearedBuckets: 1, longestStreak: 7 }),
+    ['solved-100', 'bucket-cleared', 'streak-7']
+  );
+});
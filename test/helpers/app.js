@@ -0,0 +1,263 @@
+// Boots a page and its module script in jsdom with a mocked Codeforces API, so
+// the app can be driven like a browser from node:test.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+
+const ROOT = new URL('../../', import.meta.url);
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+// Globals script.js and its modules expect from a browser
+const BROWSER_GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'location',
+  'history',
+  'localStorage',
+  'Element',
+  'HTMLElement',
+  'Event',
+  'MouseEvent',
+  'KeyboardEvent',
+  'FileReader',
+  'DOMException',
+  'requestAnimationFrame',
+  'getComputedStyle',
+  'confirm',
+];
+
+let instance = 0;
+
+export function readFixture(name) {
+  return readFileSync(new URL(name, FIXTURES), 'utf8');
+}
+
+export function loadFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+// The vendored UMD build of PapaParse, for tests that parse CSV without a DOM
+export function loadPapa() {
+  const context = {};
+  vm.runInNewContext(
+    readFileSync(new URL('vendor/papaparse.min.js', ROOT), 'utf8'),
+    context
+  );
+  return context.Papa;
+}
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 404 ? 'Not Found' : 'OK',
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+// Chart.js stand-in that records what each chart was given
+class FakeChart {
+  constructor(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    FakeChart.instances.push(this);
+  }
+  update() {}
+  destroy() {}
+}
+FakeChart.instances = [];
+
+// page: the HTML file to open; its module script is imported, not parsed.
+// api: { [method]: body | (params) => body } for codeforces.com/api calls.
+// files: { [path]: text | object } served before the repository files.
+// prefersDark: what (prefers-color-scheme: dark) reports until
+// setPrefersDark() changes it.
+export async function startApp({
+  page = 'index.html',
+  url = 'http://localhost/',
+  api = {},
+  files = {},
+  storage = {},
+  prefersDark = true,
+} = {}) {
+  const source = readFileSync(new URL(page, ROOT), 'utf8');
+  const [, moduleSrc] = source.match(/<script type="module" src="([^"]+)"/);
+  const html = source.replace(/<script[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  Object.entries(storage).forEach(([key, value]) =>
+    window.localStorage.setItem(key, value)
+  );
+
+  const apiCalls = [];
+  const fetch = async (input) => {
+    const requestUrl = new URL(String(input), window.location.href);
+    if (requestUrl.pathname.startsWith('/api/')) {
+      const method = requestUrl.pathname.slice('/api/'.length);
+      const params = Object.fromEntries(requestUrl.searchParams);
+      apiCalls.push({ method, params });
+      const handler = api[method];
+      if (handler === undefined) {
+        return jsonResponse({
+          status: 'FAILED',
+          comment: `No mock: ${method}`,
+        });
+      }
+      return jsonResponse(
+        typeof handler === 'function' ? handler(params) : handler
+      );
+    }
+
+    const path = requestUrl.pathname.replace(/^\//, '');
+    if (path in files) {
+      const body = files[path];
+      return typeof body === 'string'
+        ? { ok: true, status: 200, text: async () => body }
+        : jsonResponse(body);
+    }
+    try {
+      const text = readFileSync(new URL(path, ROOT), 'utf8');
+      return {
+        ok: true,
+        status: 200,
+        json: async () => JSON.parse(text),
+        text: async () => text,
+      };
+    } catch (error) {
+      return jsonResponse({}, 404);
+    }
+  };
+
+  // Real PapaParse, with `download` routed through the mocked fetch
+  window.eval(readFileSync(new URL('vendor/papaparse.min.js', ROOT), 'utf8'));
+  const papaParse = window.Papa.parse.bind(window.Papa);
+  window.Papa.parse = (source, config) => {
+    if (!config.download) return papaParse(source, config);
+    fetch(source)
+      .then((response) => response.text())
+      .then((text) => papaParse(text, { ...config, download: false }))
+      .catch((error) => config.error && config.error(error));
+  };
+  window.fetch = fetch;
+  window.confirm = () => true;
+  // Every query matches except a light colour scheme preference
+  const mediaQueries = [];
+  window.matchMedia = (query) => {
+    const mediaQuery = new window.EventTarget();
+    mediaQuery.media = query;
+    Object.defineProperty(mediaQuery, 'matches', {
+      get: () => !query.includes('prefers-color-scheme: dark') || prefersDark,
+    });
+    mediaQueries.push(mediaQuery);
+    return mediaQuery;
+  };
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.Chart = FakeChart;
+
+  const saved = {};
+  const install = (name, value) => {
+    saved[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+    Object.defineProperty(globalThis, name, {
+      value,
+      configurable: true,
+      writable: true,
+    });
+  };
+  BROWSER_GLOBALS.forEach((name) => install(name, window[name]));
+  // Timers the app leaves running (polling, countdowns) are cleared on close
+  const timers = new Set();
+  const { setTimeout: nodeSetTimeout, setInterval: nodeSetInterval } =
+    globalThis;
+  install('setTimeout', (callback, ms, ...args) => {
+    const timer = nodeSetTimeout(
+      (...callbackArgs) => {
+        timers.delete(timer);
+        callback(...callbackArgs);
+      },
+      ms,
+      ...args
+    );
+    timers.add(timer);
+    return timer;
+  });
+  install('setInterval', (...args) => {
+    const timer = nodeSetInterval(...args);
+    timers.add(timer);
+    return timer;
+  });
+  install('fetch', fetch);
+  // jsdom has no IndexedDB, so the app warns about every storage call
+  const { warn } = console;
+  console.warn = () => {};
+  install('Papa', window.Papa);
+  install('Chart', FakeChart);
+  // The API client reads the base URL from the meta tag
+  window.document
+    .querySelector('meta[name="cf-api-base"]')
+    .setAttribute('content', 'http://localhost/api');
+
+  FakeChart.instances = [];
+  // Page scripts start on DOMContentLoaded; let jsdom fire its own first,
+  // then replay it for this fresh copy of the module
+  if (window.document.readyState === 'loading') {
+    await new Promise((resolve) =>
+      window.document.addEventListener('DOMContentLoaded', resolve)
+    );
+  }
+  const script = new URL(moduleSrc, ROOT);
+  await import(`${script.href}?instance=${++instance}`);
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+  const $ = (selector) => window.document.querySelector(selector);
+  return {
+    window,
+    document: window.document,
+    apiCalls,
+    charts: FakeChart.instances,
+    $,
+    $$: (selector) => [...window.document.querySelectorAll(selector)],
+    text: (selector) => ($(selector) ? $(selector).textContent.trim() : null),
+    setPrefersDark(value) {
+      prefersDark = value;
+      mediaQueries
+        .filter((mediaQuery) => mediaQuery.media.includes('prefers-color'))
+        .forEach((mediaQuery) =>
+          mediaQuery.dispatchEvent(new window.Event('change'))
+        );
+    },
+    click(selector) {
+      $(selector).dispatchEvent(
+        new window.MouseEvent('click', { bubbles: true })
+      );
+    },
+    close() {
+      timers.forEach((timer) => clearTimeout(timer));
+      window.close();
+      console.warn = warn;
+      Object.entries(saved).forEach(([name, descriptor]) => {
+        if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+        else delete globalThis[name];
+      });
+    },
+  };
+}
+
+export async function waitFor(check, { timeout = 15000, interval = 25 } = {}) {
+  const started = Date.now();
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+    }
+    await new Promise((resolve) => globalThis.setTimeout(resolve, interval));
+  }
+}
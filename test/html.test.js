@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, html, safeUrl } from '../lib/html.js';
+
+const PAYLOAD = '<img src=x onerror="alert(\'x\')">';
+
+test('escapeHtml escapes markup and both quote styles', () => {
+  assert.equal(
+    escapeHtml(PAYLOAD),
+    '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;'
+  );
+  assert.equal(escapeHtml('Tom & Jerry'), 'Tom &amp; Jerry');
+  assert.equal(escapeHtml(1200), '1200');
+});
+
+test('html escapes values but not nested templates', () => {
+  const chip = (tag) => html`<span class="tag-chip">${tag}</span>`;
+  const markup = html`<td title="${PAYLOAD}">${['dp', PAYLOAD].map(chip)}</td>`;
+
+  assert.equal(
+    String(markup),
+    '<td title="&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;">' +
+      '<span class="tag-chip">dp</span>' +
+      '<span class="tag-chip">&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;</span></td>'
+  );
+});
+
+test('html renders null and undefined as nothing and keeps false', () => {
+  assert.equal(
+    String(html`<b>${null}${undefined}${0}${false}</b>`),
+    '<b>0false</b>'
+  );
+});
+
+test('safeUrl keeps web links and drops script URLs', () => {
+  assert.equal(
+    safeUrl('https://forms.gle/VerYTBT3BGcJTEqP6'),
+    'https://forms.gle/VerYTBT3BGcJTEqP6'
+  );
+  assert.equal(safeUrl('ladder.html?handle=x'), 'ladder.html?handle=x');
+  assert.equal(safeUrl('mailto:club@example.com'), 'mailto:club@example.com');
+  assert.equal(safeUrl('javascript:alert(1)'), '#');
+  assert.equal(safeUrl(' JavaScript:alert(1)'), '#');
+  assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), '#');
+});
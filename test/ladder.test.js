@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  diffLines,
+  joinLadder,
+  parseLadderRows,
+  serializeLadder,
+  toCatalogueRecord,
+} from '../lib/ladder.js';
+import { loadFixture, loadPapa, readFixture } from './helpers/app.js';
+
+function parseFixtureCsv() {
+  return loadPapa().parse(readFixture('ladder.csv'), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim().toLowerCase(),
+  }).data;
+}
+
+function fixtureCatalogue() {
+  const { problems, problemStatistics } = loadFixture(
+    'problemset.problems.json'
+  ).result;
+  const solved = new Map(
+    problemStatistics.map((s) => [`${s.contestId}${s.index}`, s.solvedCount])
+  );
+  return new Map(
+    problems.map((p) => {
+      const record = toCatalogueRecord(
+        p,
+        solved.get(`${p.contestId}${p.index}`)
+      );
+      return [record.id, record];
+    })
+  );
+}
+
+test('parseLadderRows keeps valid rows and reports bad ones by line', () => {
+  const { entries, issues } = parseLadderRows(parseFixtureCsv());
+
+  assert.deepEqual(
+    entries.map((e) => e.id),
+    ['4A', '71A', '231A', '158B', '1352C', '1000A', '550A', '1791B', '9999Z']
+  );
+  assert.equal(entries.find((e) => e.id === '1791B').difficulty, 900);
+  assert.equal(entries[0].note, 'Start here');
+  assert.deepEqual(issues, [
+    { line: 10, message: '4A duplicates line 2, row skipped.' },
+    { line: 12, message: '"ABC" is not a valid problem id.' },
+  ]);
+});
+
+test('parseLadderRows validates difficulty and order', () => {
+  const { entries, issues } = parseLadderRows([
+    { problem_links: '4a', difficulty: '850', order: 'first' },
+    { problem_links: '', difficulty: '' },
+    { problem_links: '71A', difficulty: '1000', order: '2' },
+  ]);
+
+  assert.deepEqual(
+    entries.map(({ id, difficulty, order }) => ({ id, difficulty, order })),
+    [
+      { id: '4A', difficulty: null, order: null },
+      { id: '71A', difficulty: 1000, order: 2 },
+    ]
+  );
+  assert.deepEqual(
+    issues.map((i) => i.line),
+    [2, 2, 3]
+  );
+});
+
+test('joinLadder applies curated ratings and reports missing problems', () => {
+  const { entries } = parseLadderRows(parseFixtureCsv());
+  const { problems, issues } = joinLadder(entries, fixtureCatalogue());
+
+  assert.equal(problems.length, 8);
+  const curated = problems.find((p) => p.id === '1791B');
+  assert.equal(curated.rating, 900);
+  assert.equal(curated.cfRating, undefined);
+  assert.equal(problems.find((p) => p.id === '4A').solvedCount, 300000);
+  assert.deepEqual(issues, [
+    { line: 11, message: '9999Z was not found on Codeforces.' },
+  ]);
+});
+
+test('joinLadder skips unrated problems and explains an incomplete cache', () => {
+  const catalogue = fixtureCatalogue();
+  const { problems, issues } = joinLadder(
+    parseLadderRows([{ problem_links: '1791B' }, { problem_links: '9999Z' }])
+      .entries,
+    catalogue,
+    { catalogueComplete: false }
+  );
+
+  assert.equal(problems.length, 0);
+  assert.match(issues[0].message, /has no rating/);
+  assert.match(issues[1].message, /not in the offline cache/);
+});
+
+test('joinLadder puts ordered rows first and keeps file order otherwise', () => {
+  const { entries } = parseLadderRows([
+    { problem_links: '4A' },
+    { problem_links: '71A', order: '2' },
+    { problem_links: '231A' },
+    { problem_links: '158B', order: '1' },
+  ]);
+  const { problems } = joinLadder(entries, fixtureCatalogue());
+
+  assert.deepEqual(
+    problems.map((p) => p.id),
+    ['158B', '71A', '4A', '231A']
+  );
+});
+
+test('serializeLadder writes only the columns in use and quotes fields', () => {
+  assert.equal(
+    serializeLadder([{ problem_links: '4A' }, { problem_links: '71A' }]),
+    'problem_links\n4A\n71A\n'
+  );
+  assert.equal(
+    serializeLadder([
+      { problem_links: '4A', note: 'Read "Watermelon", then 71A' },
+      { problem_links: '71A', section: 'Strings' },
+    ]),
+    'problem_links,section,note\n4A,,"Read ""Watermelon"", then 71A"\n71A,Strings,\n'
+  );
+  assert.equal(
+    serializeLadder([{ problem_links: '4A' }], ['difficulty', 'unknown']),
+    'problem_links,difficulty\n4A,\n'
+  );
+});
+
+test('serializeLadder output parses back to the same entries', () => {
+  const rows = loadPapa().parse(readFixture('ladder.csv'), {
+    header: true,
+    skipEmptyLines: true,
+  }).data;
+  const roundTrip = loadPapa().parse(serializeLadder(rows), {
+    header: true,
+    skipEmptyLines: true,
+  }).data;
+
+  assert.deepEqual(parseLadderRows(roundTrip), parseLadderRows(rows));
+});
+
+test('diffLines marks added and removed lines around common ones', () => {
+  assert.deepEqual(diffLines('a\nb\nc\n', 'a\nc\nd'), [
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'same', text: 'c' },
+    { type: 'added', text: 'd' },
+  ]);
+  assert.ok(
+    diffLines('x\r\ny\r\n', 'x\ny\n').every((line) => line.type === 'same')
+  );
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPracticeTotals,
+  pickPracticeProblems,
+  scorePracticeSession,
+} from '../lib/practice.js';
+
+const pool = [1500, 800, 1200, 1000, 900, 1100].map((rating, i) => ({
+  id: `${i + 1}A`,
+  rating,
+}));
+
+test('one problem is drawn from each rating band', () => {
+  const first = pickPracticeProblems(pool, 3, () => 0);
+  const last = pickPracticeProblems(pool, 3, () => 0.999);
+
+  assert.deepEqual(
+    first.map((p) => p.rating),
+    [800, 1000, 1200]
+  );
+  assert.deepEqual(
+    last.map((p) => p.rating),
+    [900, 1100, 1500]
+  );
+});
+
+test('a pool smaller than the count is used whole, without repeats', () => {
+  const small = pool.slice(0, 3);
+  [0, 0.5, 0.999].forEach((value) => {
+    const picked = pickPracticeProblems(small, 5, () => value);
+    const ids = picked.map((p) => p.id);
+
+    assert.equal(picked.length, 3);
+    assert.equal(new Set(ids).size, 3);
+  });
+});
+
+test('a session is scored from the submissions inside its window', () => {
+  const startedAt = 1716200000 * 1000;
+  const session = {
+    startedAt,
+    endsAt: startedAt + 3600 * 1000,
+    problems: [{ id: '4A' }, { id: '71A' }, { id: '158B' }],
+  };
+  const submit = (index, problemId, seconds, verdict) => ({
+    id: index,
+    creationTimeSeconds: startedAt / 1000 + seconds,
+    problem: {
+      contestId: Number(problemId.slice(0, -1)),
+      index: problemId.slice(-1),
+    },
+    verdict,
+  });
+  // Newest first, as the API returns them
+  const submissions = [
+    submit(9, '158B', 3000, 'TESTING'),
+    submit(8, '4A', 2000, 'WRONG_ANSWER'),
+    submit(7, '71A', 1500, 'COMPILATION_ERROR'),
+    submit(6, '71A', 1200, 'OK'),
+    submit(5, '4A', 900, 'OK'),
+    submit(4, '4A', 600, 'WRONG_ANSWER'),
+    submit(3, '231A', 300, 'OK'),
+    submit(2, '158B', 4000, 'OK'),
+    submit(1, '71A', -60, 'WRONG_ANSWER'),
+  ];
+
+  const results = scorePracticeSession(session, submissions);
+  assert.deepEqual(results, {
+    '4A': { wrongTries: 1, solvedAt: 900 * 1000 },
+    '71A': { wrongTries: 0, solvedAt: 1200 * 1000 },
+    '158B': { wrongTries: 0, solvedAt: null },
+  });
+  assert.deepEqual(getPracticeTotals({ ...session, results }), {
+    solved: 2,
+    penalty: 15 + 20 + 20,
+  });
+});
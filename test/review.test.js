@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addDays, scheduleFirstReviews } from '../lib/review.js';
+
+const options = { delay: 3, perDay: 10 };
+const today = '2024-06-10';
+
+test('day keys move across month and year ends', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-12-30', 3), '2025-01-02');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+});
+
+test('new solves are first due a few days after the solve', () => {
+  const due = scheduleFirstReviews(
+    new Map([
+      ['4A', '2024-06-10'],
+      ['71A', '2024-06-08'],
+    ]),
+    [],
+    today,
+    options
+  );
+  assert.deepEqual(
+    [...due],
+    [
+      ['4A', '2024-06-13'],
+      ['71A', '2024-06-11'],
+    ]
+  );
+});
+
+test('a large history is spread over the coming days, newest first', () => {
+  // 250 solves, one a day up to a week ago
+  const solves = new Map(
+    Array.from({ length: 250 }, (_, i) => [
+      `${i + 1}A`,
+      addDays('2024-06-03', -i),
+    ])
+  );
+  // Two cards already overdue and one due tomorrow
+  const dueDays = ['2024-05-01', '2024-06-09', '2024-06-11'];
+  const due = scheduleFirstReviews(solves, dueDays, today, options);
+
+  assert.equal(due.size, 250);
+  const perDay = new Map();
+  [...due.values(), today, today, '2024-06-11'].forEach((day) =>
+    perDay.set(day, (perDay.get(day) || 0) + 1)
+  );
+  assert.ok([...due.values()].every((day) => day >= today));
+  assert.ok([...perDay.values()].every((count) => count <= 10));
+  assert.equal(perDay.size, 26);
+  assert.equal(due.get('1A'), today);
+  assert.equal(due.get('250A'), '2024-07-05');
+});
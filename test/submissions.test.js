@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applySubmissionsToStatus,
+  buildAttemptStats,
+  getFirstSolveTimes,
+  isPendingVerdict,
+  mergeSubmissions,
+} from '../lib/submissions.js';
+import { loadFixture } from './helpers/app.js';
+
+const submissions = loadFixture('user.status.json').result;
+
+test('a wrong answer after an accepted one keeps the problem solved', () => {
+  const status = applySubmissionsToStatus(submissions);
+
+  assert.equal(status.get('4A'), 'SOLVED');
+  assert.equal(status.get('71A'), 'SOLVED');
+  assert.equal(status.get('1352C'), 'SOLVED');
+  assert.equal(status.get('158B'), 'ATTEMPTED');
+  assert.equal(status.has('231A'), false);
+});
+
+test('applySubmissionsToStatus never downgrades an existing status', () => {
+  const status = new Map([['158B', 'SOLVED']]);
+  applySubmissionsToStatus(submissions, status);
+
+  assert.equal(status.get('158B'), 'SOLVED');
+});
+
+test('buildAttemptStats counts judged tries until the first AC', () => {
+  const stats = buildAttemptStats(submissions);
+
+  assert.deepEqual(
+    {
+      attempts: stats.get('4A').attempts,
+      triesUntilAc: stats.get('4A').triesUntilAc,
+      firstTryAc: stats.get('4A').firstTryAc,
+      lastVerdict: stats.get('4A').lastVerdict,
+    },
+    {
+      attempts: 3,
+      triesUntilAc: 2,
+      firstTryAc: false,
+      lastVerdict: 'WRONG_ANSWER',
+    }
+  );
+  assert.equal(stats.get('1352C').firstTryAc, true);
+  assert.equal(stats.get('158B').triesUntilAc, null);
+});
+
+test('pending submissions are ignored by the attempt stats', () => {
+  const pending = {
+    id: 2000,
+    problem: { contestId: 231, index: 'A' },
+    verdict: 'TESTING',
+  };
+  assert.equal(isPendingVerdict(pending), true);
+  assert.equal(buildAttemptStats([pending]).size, 0);
+});
+
+test('mergeSubmissions replaces stale copies and keeps newest first', () => {
+  const stale = { ...submissions[0], verdict: 'TESTING' };
+  const fresh = { ...submissions[0], id: 1009, verdict: 'OK' };
+  const merged = mergeSubmissions(
+    [stale, ...submissions.slice(1)],
+    [fresh, submissions[0]]
+  );
+
+  assert.equal(merged.length, submissions.length + 1);
+  assert.equal(merged[0].id, 1009);
+  assert.equal(merged[1].verdict, submissions[0].verdict);
+});
+
+test('getFirstSolveTimes keeps the earliest accepted submission', () => {
+  const times = getFirstSolveTimes(submissions);
+  const firstAc = submissions.find((s) => s.id === 1007).creationTimeSeconds;
+
+  assert.equal(times.get('4A'), firstAc);
+  assert.equal(times.has('158B'), false);
+});
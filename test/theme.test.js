@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyThemeClasses,
+  applyThemeColors,
+  bindThemeColors,
+  resolveTheme,
+} from '../lib/theme.js';
+
+test('resolveTheme follows the system only when asked to', () => {
+  assert.equal(resolveTheme('system', true), 'dark');
+  assert.equal(resolveTheme('system', false), 'light');
+  assert.equal(resolveTheme('light', true), 'light');
+  assert.equal(resolveTheme('contrast', false), 'contrast');
+  assert.equal(resolveTheme('sepia', false), 'light');
+  assert.equal(resolveTheme(null, true), 'dark');
+});
+
+test('applyThemeClasses sets exactly one theme class', () => {
+  const classes = new Set(['light-mode', 'print-report']);
+  const element = {
+    classList: {
+      toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)),
+    },
+  };
+
+  applyThemeClasses(element, 'contrast');
+  assert.deepEqual([...classes].sort(), ['high-contrast', 'print-report']);
+  applyThemeClasses(element, 'dark');
+  assert.deepEqual([...classes], ['print-report']);
+});
+
+test('bindThemeColors resolves var() colours and can re-read them', () => {
+  let palette = { '--text': '#eee', '--accent': '#6ea8ff' };
+  const readVar = (name) => palette[name];
+  const config = {
+    data: {
+      labels: ['var(--text)'],
+      datasets: [
+        { data: [1, 2], backgroundColor: ['var(--accent)', '#EF4444'] },
+      ],
+    },
+    options: { scales: { x: { ticks: { color: 'var(--text)' } } } },
+  };
+
+  const bindings = bindThemeColors(config, readVar);
+  assert.equal(bindings.length, 3);
+  assert.deepEqual(config.data.datasets[0].backgroundColor, [
+    '#6ea8ff',
+    '#EF4444',
+  ]);
+  assert.equal(config.options.scales.x.ticks.color, '#eee');
+
+  palette = { '--text': '#1c2a41', '--accent': '#3b82f6' };
+  applyThemeColors(bindings, readVar);
+  assert.equal(config.data.labels[0], '#1c2a41');
+  assert.equal(config.data.datasets[0].backgroundColor[0], '#3b82f6');
+  assert.equal(config.options.scales.x.ticks.color, '#1c2a41');
+});
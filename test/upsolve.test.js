@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getContestProblemUrl,
+  getContestUrl,
+  getUpsolveContests,
+} from '../lib/upsolve.js';
+import { loadFixture } from './helpers/app.js';
+
+const submissions = loadFixture('user.status.contest.json').result;
+const catalogue = new Map(
+  [
+    { contestId: 1352, index: 'A', name: 'Sum of Round Numbers' },
+    { contestId: 1352, index: 'B', name: 'Same Parity Summands' },
+    { contestId: 1352, index: 'C', name: 'K-th Not Divisible by n' },
+    { contestId: 1352, index: 'D', name: 'Alice, Bob and Candies' },
+    { contestId: 1352, index: 'G1', name: 'Special Permutation' },
+    { contestId: 1352, index: 'G10', name: 'Made-up' },
+    { contestId: 4, index: 'A', name: 'Watermelon' },
+  ].map((p) => [`${p.contestId}${p.index}`, p])
+);
+
+function summarize(contest) {
+  return contest.problems.map(
+    ({ problem, status }) => `${problem.contestId}${problem.index} ${status}`
+  );
+}
+
+test('only contest entries are listed, newest first', () => {
+  const contests = getUpsolveContests(submissions, catalogue);
+
+  assert.deepEqual(
+    contests.map((c) => [c.contestId, c.participantType, c.solvedCount]),
+    [
+      [1000, 'VIRTUAL', 0],
+      [1352, 'CONTESTANT', 1],
+    ]
+  );
+  assert.equal(contests[1].startTimeSeconds, 1716200000);
+});
+
+test('problems solved in the contest are left out, the rest get a status', () => {
+  const [virtual, live] = getUpsolveContests(submissions, catalogue);
+
+  assert.deepEqual(summarize(live), [
+    '1352B FAILED',
+    '1352C UPSOLVED', // Failed live, accepted in practice later
+    '1352D UNOPENED',
+    '1352G1 UNOPENED',
+    '1352G10 UNOPENED',
+  ]);
+  // 1000A is not in the catalogue, so the submission names it
+  assert.deepEqual(summarize(virtual), ['1000A FAILED']);
+  assert.equal(virtual.problems[0].problem.name, 'Codehorses T-shirts');
+});
+
+test('a live entry wins over a later virtual one of the same contest', () => {
+  const rerun = {
+    ...submissions[5],
+    id: 3000,
+    author: {
+      ...submissions[5].author,
+      participantType: 'VIRTUAL',
+      startTimeSeconds: 1716600000,
+    },
+  };
+  const [contest] = getUpsolveContests(
+    [rerun, ...submissions],
+    catalogue
+  ).filter((c) => c.contestId === 1352);
+
+  assert.equal(contest.participantType, 'CONTESTANT');
+  assert.equal(contest.startTimeSeconds, 1716200000);
+});
+
+test('gym contests link to /gym/', () => {
+  assert.equal(getContestUrl(1352), 'https://codeforces.com/contest/1352');
+  assert.equal(getContestUrl(104114), 'https://codeforces.com/gym/104114');
+  assert.equal(
+    getContestProblemUrl({ contestId: 104114, index: 'B' }),
+    'https://codeforces.com/gym/104114/problem/B'
+  );
+});